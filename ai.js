@@ -1,3 +1,109 @@
+// Bot skill tiers. weight is the tier's share of a mixed lobby. Aim error (radians of random
+// spread) starts at initial when a bot acquires a target and settles to min over settleTime
+// seconds of tracking it; every shot in a burst adds sprayPenalty until the burst pause.
+// leadFactor is how much of a moving target's travel is aimed ahead for, and aggression
+// (0-1) how readily a bot picks fights and pushes in while shooting
+const AI_DIFFICULTY_PROFILES = {
+    recruit: {
+        name: 'Recruit', weight: 35,
+        damage: 8, fireRate: 1.5, attackRange: 25, detectionRange: 30,
+        reactionTime: 0.8,
+        aimError: { initial: 0.25, min: 0.1, settleTime: 3 },
+        sprayPenalty: 0.03,
+        leadFactor: 0,
+        burst: { length: 8, pause: 0.2 },
+        aggression: 0.2
+    },
+    regular: {
+        name: 'Regular', weight: 35,
+        damage: 10, fireRate: 2, attackRange: 30, detectionRange: 40,
+        reactionTime: 0.5,
+        aimError: { initial: 0.18, min: 0.06, settleTime: 2.5 },
+        sprayPenalty: 0.02,
+        leadFactor: 0.4,
+        burst: { length: 5, pause: 0.4 },
+        aggression: 0.35
+    },
+    veteran: {
+        name: 'Veteran', weight: 20,
+        damage: 11, fireRate: 2.5, attackRange: 35, detectionRange: 45,
+        reactionTime: 0.3,
+        aimError: { initial: 0.12, min: 0.03, settleTime: 2 },
+        sprayPenalty: 0.015,
+        leadFactor: 0.8,
+        burst: { length: 4, pause: 0.5 },
+        aggression: 0.5
+    },
+    elite: {
+        name: 'Elite', weight: 10,
+        damage: 12, fireRate: 3, attackRange: 40, detectionRange: 50,
+        reactionTime: 0.18,
+        aimError: { initial: 0.08, min: 0.015, settleTime: 1.5 },
+        sprayPenalty: 0.01,
+        leadFactor: 1,
+        burst: { length: 3, pause: 0.5 },
+        aggression: 0.7
+    }
+};
+
+/**
+ * Look up a difficulty profile by key
+ */
+function getDifficultyProfile(key) {
+    const profile = AI_DIFFICULTY_PROFILES[key];
+    if (!profile) {
+        throw new Error(`Unknown AI difficulty "${key}"`);
+    }
+    return profile;
+}
+
+/**
+ * Decision making shared by every AiOpponent, highest priority first (each bot keeps its own state)
+ */
+function createOpponentBehavior() {
+    return new BehaviorSelector('root', [
+        // Badly hurt: fall back to cover and patch up there (unless too close to run)
+        new BehaviorSequence('recover', [
+            new BehaviorCondition('shouldRetreat', bot => bot.shouldRetreat() && !bot.isCornered()),
+            new BehaviorSelector('retreatOrHeal', [
+                new BehaviorSequence('healWhenSafe', [
+                    new BehaviorCondition('isSafe', (bot, context) => bot.isSafe(context.world)),
+                    new BehaviorAction('healing', (bot, context) => bot.heal(context.deltaTime))
+                ]),
+                new BehaviorAction('retreating', (bot, context) => bot.retreat(context.deltaTime, context.world))
+            ])
+        ]),
+        
+        // Fight the current target: shoot it when in sight and range, otherwise go round or after it
+        new BehaviorSequence('engage', [
+            new BehaviorCondition('hasTarget', bot => bot.targetEntity !== null),
+            new BehaviorSelector('fight', [
+                new BehaviorSequence('shootInRange', [
+                    new BehaviorCondition('targetInRange', bot => bot.targetVisible &&
+                        bot.position.distanceTo(bot.targetEntity.getPosition()) < bot.attackRange),
+                    new BehaviorAction('attacking', (bot, context) => bot.strafeAndShoot(context.deltaTime, context.world))
+                ]),
+                new BehaviorSequence('flankHidden', [
+                    new BehaviorCondition('shouldFlank', bot => bot.shouldFlank()),
+                    new BehaviorAction('flanking', (bot, context) => bot.flank(context.deltaTime, context.world))
+                ]),
+                new BehaviorAction('chasing', (bot, context) => bot.chase(context.deltaTime, context.world))
+            ])
+        ]),
+        
+        // Heard something: go and look where it came from
+        new BehaviorSequence('investigate', [
+            new BehaviorCondition('heardNoise', bot => bot.heardNoisePosition !== null),
+            new BehaviorAction('investigating', (bot, context) => bot.investigate(context.deltaTime, context.world))
+        ]),
+        
+        // Nothing to fight: wander, pick up loot and keep up with the zone
+        new BehaviorAction('patrolling', (bot, context) => bot.patrol(context.deltaTime, context.world))
+    ]);
+}
+
+const OPPONENT_BEHAVIOR = createOpponentBehavior();
+
 /**
  * AiManager class that handles all AI opponents
  */
@@ -17,19 +123,63 @@ class AiManager {
         
         // Projectiles from AI
         this.projectiles = [];
+        
+        // Spatial hash of living opponents, rebuilt every frame
+        this.opponentIndex = new SpatialHash(10);
+        
+        // Off-screen abstraction: fights between bots this far from the player
+        // are resolved from their loadouts instead of simulated projectiles
+        this.abstractDistantBattles = true;
+        this.abstractionDistance = 150;
     }
     
     /**
      * Initialize a specified number of AI opponents
+     * @param {string[]} [difficulties] Keys in AI_DIFFICULTY_PROFILES to mix in the lobby (all by default)
      */
-    initializeOpponents(count) {
+    initializeOpponents(count, difficulties = Object.keys(AI_DIFFICULTY_PROFILES)) {
         // Clear any existing opponents
         this.clearOpponents();
         
-        // Create new opponents
+        // Create new opponents, skill tiers spread across the lobby
+        const tiers = this.assignDifficulties(count, difficulties);
         for (let i = 0; i < count; i++) {
-            this.createOpponent(i);
+            this.createOpponent(i, tiers[i]);
+        }
+    }
+    
+    /**
+     * Split a lobby between difficulty tiers by their weights, in random order
+     * @returns {string[]} One difficulty key per opponent
+     */
+    assignDifficulties(count, difficulties) {
+        const totalWeight = difficulties.reduce((sum, key) => sum + getDifficultyProfile(key).weight, 0);
+        
+        // Whole shares first, then the leftover places to the largest remainders
+        const shares = difficulties.map(key => {
+            const exact = count * getDifficultyProfile(key).weight / totalWeight;
+            return { key: key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+        let leftover = count - shares.reduce((sum, share) => sum + share.count, 0);
+        [...shares].sort((a, b) => b.remainder - a.remainder).forEach(share => {
+            if (leftover > 0) {
+                share.count++;
+                leftover--;
+            }
+        });
+        
+        const tiers = [];
+        shares.forEach(share => {
+            for (let i = 0; i < share.count; i++) tiers.push(share.key);
+        });
+        
+        // Shuffle so tiers aren't grouped by spawn order
+        for (let i = tiers.length - 1; i > 0; i--) {
+            const j = randomInt(0, i);
+            [tiers[i], tiers[j]] = [tiers[j], tiers[i]];
         }
+        
+        return tiers;
     }
     
     /**
@@ -54,12 +204,12 @@ class AiManager {
     /**
      * Create a single AI opponent
      */
-    createOpponent(id) {
+    createOpponent(id, difficulty = 'regular') {
         // Generate random position (within world bounds, away from player)
         const position = this.generateSpawnPosition();
         
         // Create AI opponent
-        const opponent = new AiOpponent(id, this.scene, position, this.aiHealth, this.aiMoveSpeed);
+        const opponent = new AiOpponent(id, this.scene, position, this.aiHealth, this.aiMoveSpeed, difficulty);
         
         // Add to array
         this.opponents.push(opponent);
@@ -101,7 +251,15 @@ class AiManager {
     /**
      * Update all AI opponents
      */
-    update(deltaTime, world, playersAlive) {
+    update(deltaTime, world) {
+        const playerPos = this.player.getPosition();
+        
+        // Index where everyone is at the start of the frame
+        this.rebuildOpponentIndex();
+        
+        // Let bots hear the noises made since last frame
+        this.deliverNoise(world.noise);
+        
         // Update each opponent
         for (let i = this.opponents.length - 1; i >= 0; i--) {
             const opponent = this.opponents[i];
@@ -111,15 +269,21 @@ class AiManager {
                 continue;
             }
             
-            // Update AI behavior
-            opponent.update(deltaTime, this.player, this.opponents, world);
+            // Update AI behavior (only opponents it could possibly detect are considered)
+            const nearby = this.opponentIndex.queryRadius(opponent.position, opponent.detectionRange);
+            opponent.update(deltaTime, this.player, nearby, world);
+            
+            // Bots far from the player fight in the abstract
+            opponent.isAbstracted = this.abstractDistantBattles &&
+                opponent.position.distanceTo(playerPos) > this.abstractionDistance;
             
             // Handle shooting
-            if (opponent.isShooting) {
+            if (opponent.isShooting && !opponent.isAbstracted) {
                 // Try to create a projectile
                 const projectile = opponent.shoot();
                 if (projectile) {
                     this.projectiles.push(projectile);
+                    world.noise.emit('gunshot', opponent.position, opponent.soundRadius, opponent);
                 }
             }
         }
@@ -127,8 +291,34 @@ class AiManager {
         // Update projectiles
         this.updateProjectiles(deltaTime, world);
         
-        // Randomly make opponents attack each other to reduce player count
-        this.simulateOpponentBattles(playersAlive);
+        // Resolve fights between distant bots
+        this.simulateDistantBattles(deltaTime);
+    }
+    
+    /**
+     * Pass each new noise to the opponents within earshot of it
+     */
+    deliverNoise(noise) {
+        noise.takePendingEvents().forEach(event => {
+            this.opponentIndex.queryRadius(event.position, event.radius).forEach(opponent => {
+                if (opponent.hearNoise(event)) {
+                    event.heardBy++;
+                }
+            });
+        });
+    }
+    
+    /**
+     * Rebuild the spatial hash of living opponents
+     */
+    rebuildOpponentIndex() {
+        this.opponentIndex.clear();
+        
+        this.opponents.forEach(opponent => {
+            if (opponent.isAlive) {
+                this.opponentIndex.insertPoint(opponent, opponent.position);
+            }
+        });
     }
     
     /**
@@ -142,17 +332,28 @@ class AiManager {
             // Update projectile
             projectile.update(deltaTime);
             
-            // Check if projectile hit the world
-            if (world.checkProjectileCollision(projectile)) {
-                // Remove projectile
-                this.projectiles.splice(i, 1);
-                projectile.removeFromScene(this.scene);
-                continue;
+            // Find whichever comes first along this frame's segment: the player or another opponent
+            const opponentHit = this.findProjectileTarget(projectile);
+            const playerFraction = this.player.isAlive
+                ? segmentBoxIntersection(projectile.previousPosition, projectile.getPosition(), this.player.getHitBox())
+                : null;
+            const playerFirst = playerFraction !== null && (!opponentHit || playerFraction < opponentHit.fraction);
+            
+            // Clip or shoot through only the cover in front of them, and hit them if the round gets there
+            const fraction = playerFirst ? playerFraction : (opponentHit ? opponentHit.fraction : null);
+            const targetPoint = fraction !== null
+                ? projectile.previousPosition.clone().lerp(projectile.getPosition(), fraction)
+                : null;
+            if (!world.checkProjectileCollision(projectile, targetPoint)) {
+                if (playerFirst) {
+                    this.checkProjectileHitPlayer(projectile, this.player);
+                } else if (opponentHit) {
+                    this.checkProjectileHit(projectile, opponentHit);
+                }
             }
             
-            // Check if projectile lifetime is over
-            if (projectile.lifetime <= 0) {
-                // Remove projectile
+            // Remove projectile once it has hit something or run out of range
+            if (projectile.spent || projectile.lifetime <= 0) {
                 this.projectiles.splice(i, 1);
                 projectile.removeFromScene(this.scene);
             }
@@ -160,103 +361,195 @@ class AiManager {
     }
     
     /**
-     * Check if a projectile from the player hits any AI opponent
+     * Find the first opponent body part along a projectile's last segment
+     * @returns {Object|null} { opponent, zone, fraction } or null if none was crossed
      */
-    checkProjectileHit(projectile) {
-        const projectilePos = projectile.getPosition();
+    findProjectileTarget(projectile) {
+        const start = projectile.previousPosition;
+        const end = projectile.getPosition();
         
-        for (let i = 0; i < this.opponents.length; i++) {
-            const opponent = this.opponents[i];
-            
-            // Skip if opponent is already dead
-            if (!opponent.isAlive) continue;
-            
-            // Get opponent position (head height)
-            const opponentPos = opponent.getPosition();
+        let closestHit = null;
+        
+        // Opponents are indexed by position, so pad by the reach of their arms
+        const candidates = this.opponentIndex.querySegment(start, end, 1.0);
+        
+        for (let i = 0; i < candidates.length; i++) {
+            const opponent = candidates[i];
             
-            // Check distance (simple sphere collision)
-            const hitDistance = 1.0; // Collision radius
-            const distance = projectilePos.distanceTo(opponentPos);
+            // Skip if opponent is already dead or fired the projectile
+            if (!opponent.isAlive || opponent === projectile.owner) continue;
             
-            if (distance < hitDistance) {
-                // Apply damage to opponent
-                const killed = opponent.takeDamage(projectile.damage);
-                
-                // If opponent was killed
-                if (killed) {
-                    // Notify game of elimination
-                    game.playerEliminatedAI(opponent.id);
-                }
-                
-                return true; // Hit detected
+            const hit = opponent.findHitZone(start, end);
+            if (hit && (!closestHit || hit.fraction < closestHit.fraction)) {
+                closestHit = { opponent: opponent, zone: hit.zone, fraction: hit.fraction };
             }
         }
         
-        return false; // No hit
+        return closestHit;
     }
     
     /**
-     * Check if any projectiles from AI hit the player
+     * Check if a projectile hits any AI opponent
+     * The projectile's last segment is swept so fast rounds can't pass through.
+     * Damage is scaled by the projectile's multiplier for the body part that was hit.
+     * Kills are credited to the projectile's owner (the player if it has none)
+     * @param {Object} [hit] Target already found by findProjectileTarget
+     * @returns {Object|null} { opponent, zone, killed } or null if nothing was hit
      */
-    checkProjectileHitPlayer(player) {
-        const playerPos = player.getPosition();
+    checkProjectileHit(projectile, hit = this.findProjectileTarget(projectile)) {
+        if (!hit) return null; // No hit
         
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const projectile = this.projectiles[i];
-            const projectilePos = projectile.getPosition();
+        // Stop the projectile where it entered the opponent
+        const start = projectile.previousPosition;
+        projectile.stopAt(start.clone().lerp(projectile.getPosition(), hit.fraction));
+        
+        // Apply damage to opponent, scaled by where it landed
+        const multiplier = projectile.damageMultipliers[hit.zone];
+        const killed = hit.opponent.takeDamage(projectile.getDamage() * (multiplier !== undefined ? multiplier : 1), hit.zone);
+        hit.opponent.registerAttacker(projectile.owner || this.player);
+        
+        // If opponent was killed
+        if (killed) {
+            // Notify game of elimination
+            if (projectile.owner instanceof AiOpponent) {
+                game.aiEliminatedAI(projectile.owner.id, hit.opponent.id);
+            } else {
+                game.playerEliminatedAI(hit.opponent.id);
+            }
+        }
+        
+        return { opponent: hit.opponent, zone: hit.zone, killed: killed };
+    }
+    
+    /**
+     * Apply a player explosive's blast to every opponent in range
+     * @returns {number} Number of opponents hurt (or killed)
+     */
+    applyExplosionDamage(explosive, world) {
+        let hits = 0;
+        
+        this.opponents.forEach(opponent => {
+            if (!opponent.isAlive) return;
             
-            // Check distance (simple sphere collision)
-            const hitDistance = 0.5; // Collision radius
-            const distance = projectilePos.distanceTo(playerPos);
+            // Measure from the centre of the body rather than eye height
+            const center = opponent.getHitBox().position;
+            const damage = explosive.getDamageAt(center, world);
+            if (damage <= 0) return;
+            hits++;
             
-            if (distance < hitDistance) {
-                // Apply damage to player
-                player.takeDamage(projectile.damage);
-                
-                // Remove projectile
-                this.projectiles.splice(i, 1);
-                projectile.removeFromScene(this.scene);
+            // Rockets throw survivors (and bodies) clear of the blast
+            if (explosive.knockback) {
+                opponent.applyKnockback(explosive.getKnockbackAt(center, world));
+            }
+            
+            if (opponent.takeDamage(damage)) {
+                game.playerEliminatedAI(opponent.id);
+            } else {
+                opponent.registerAttacker(this.player);
+            }
+        });
+        
+        return hits;
+    }
+    
+    /**
+     * Stun opponents caught by a flashbang
+     */
+    applyFlash(grenade, world) {
+        this.opponentIndex.queryRadius(grenade.getPosition(), grenade.radius).forEach(opponent => {
+            if (!opponent.isAlive) return;
+            
+            const strength = grenade.getFlashAt(opponent.position, opponent.direction, world);
+            if (strength > 0) {
+                opponent.stun(grenade.blindDuration * strength);
+            }
+        });
+    }
+    
+    /**
+     * Burn opponents standing in fires (armor doesn't help; kills are credited to the player, who threw them)
+     */
+    applyFireDamage(world, deltaTime) {
+        world.areaEffects.forEach(effect => {
+            if (!(effect instanceof FireArea)) return;
+            
+            this.opponentIndex.queryRadius(effect.position, effect.radius).forEach(opponent => {
+                if (!opponent.isAlive || !effect.isInside(opponent.position)) return;
                 
-                // Check if player died
-                if (player.health <= 0) {
-                    // Find which AI shot the player
-                    game.playerEliminated("AI Opponent");
+                if (opponent.takeDamage(effect.getDamagePerSecond() * deltaTime, 'body', { ignoreArmor: true })) {
+                    game.playerEliminatedAI(opponent.id);
                 }
+            });
+        });
+    }
+    
+    /**
+     * Damage every opponent outside the safe zone (armor doesn't help)
+     */
+    applyZoneDamage(zone, damage) {
+        this.opponents.forEach(opponent => {
+            if (!opponent.isAlive || zone.isInside(opponent.position)) return;
+            
+            if (opponent.takeDamage(damage, 'body', { ignoreArmor: true })) {
+                game.aiEliminatedByZone(opponent.id);
             }
-        }
+        });
     }
     
     /**
-     * Simulate battles between AI opponents to reduce player count over time
+     * Check if a projectile from AI hits the player
      */
-    simulateOpponentBattles(playersAlive) {
-        // Don't simulate too many battles if only a few players remain
-        if (playersAlive < 20) return;
+    checkProjectileHitPlayer(projectile, player) {
+        if (!player.isAlive) return false;
+        
+        const start = projectile.previousPosition;
+        const end = projectile.getPosition();
         
-        // Get list of alive opponents
-        const aliveOpponents = this.opponents.filter(o => o.isAlive);
+        const fraction = segmentBoxIntersection(start, end, player.getHitBox());
+        if (fraction === null) return false;
         
-        // Randomly eliminate some AI opponents to simulate battles
-        // More frequent eliminations in early game, less in late game
-        const eliminationChance = playersAlive / 1000; // 0.2 initially, decreases as players die
+        // Stop the projectile where it hit the player
+        const point = start.clone().lerp(end, fraction);
+        projectile.stopAt(point);
+        
+        // Apply damage to player, less the further the round travelled (head or body armor soaks some up)
+        player.takeDamage(projectile.getDamage(), player.getHitZone(point));
+        
+        // Check if player died
+        if (player.health <= 0) {
+            // Find which AI shot the player
+            game.playerEliminated("AI Opponent");
+        }
         
-        if (Math.random() < eliminationChance && aliveOpponents.length >= 2) {
-            // Choose random attacker and victim
-            const attackerIndex = Math.floor(Math.random() * aliveOpponents.length);
-            let victimIndex;
-            do {
-                victimIndex = Math.floor(Math.random() * aliveOpponents.length);
-            } while (victimIndex === attackerIndex);
+        return true;
+    }
+    
+    /**
+     * Resolve fights between bots that are too far from the player to simulate
+     * Damage is the attacker's expected output from its loadout, scaled by how
+     * hard the shot is at that range, so better-armed bots still win more often
+     */
+    simulateDistantBattles(deltaTime) {
+        if (!this.abstractDistantBattles) return;
+        
+        this.opponents.forEach(attacker => {
+            if (!attacker.isAlive || !attacker.isAbstracted || attacker.state !== 'attacking') return;
             
-            const attacker = aliveOpponents[attackerIndex];
-            const victim = aliveOpponents[victimIndex];
+            // Only fights between two distant bots are abstracted
+            const victim = attacker.targetEntity;
+            if (!(victim instanceof AiOpponent) || !victim.isAlive || !victim.isAbstracted) return;
             
-            // Kill victim
-            victim.isAlive = false;
+            // Expected hit rate drops with range
+            const distance = attacker.position.distanceTo(victim.position);
+            const hitChance = clamp(1 - distance / attacker.attackRange, 0.1, 0.9);
             
-            // Notify game of elimination
-            game.aiEliminatedAI(attacker.id, victim.id);
-        }
+            const damage = getFalloffDamage(attacker.damage, attacker.falloff, distance) * attacker.fireRate * hitChance * deltaTime;
+            if (victim.takeDamage(damage)) {
+                game.aiEliminatedAI(attacker.id, victim.id);
+            } else {
+                victim.registerAttacker(attacker);
+            }
+        });
     }
 }
 
@@ -264,13 +557,18 @@ class AiManager {
  * Individual AI opponent
  */
 class AiOpponent {
-    constructor(id, scene, position, health, moveSpeed) {
+    constructor(id, scene, position, health, moveSpeed, difficulty = 'regular') {
         this.id = id;
         this.scene = scene;
         
+        // Skill tier (key in AI_DIFFICULTY_PROFILES)
+        this.difficulty = difficulty;
+        this.profile = getDifficultyProfile(difficulty);
+        
         // Stats
         this.health = health;
         this.maxHealth = health;
+        this.armor = new Armor(); // Vest and helmet, same as the player's
         this.isAlive = true;
         this.moveSpeed = moveSpeed;
         
@@ -278,6 +576,7 @@ class AiOpponent {
         this.position = position.clone();
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.direction = new THREE.Vector3(0, 0, 1); // Forward direction
+        this.knockback = new THREE.Vector3(0, 0, 0); // Horizontal push from explosions, fades out
         
         // Physics collider
         this.collider = {
@@ -286,23 +585,94 @@ class AiOpponent {
         };
         
         // AI state
-        this.state = 'patrolling'; // patrolling, chasing, attacking
+        this.state = 'patrolling'; // Name of the running behavior (see createOpponentBehavior)
         this.targetPosition = null;
         this.targetEntity = null;
         this.patrolTimer = 0;
-        this.attackTimer = 0;
         this.attackCooldown = 0;
         this.isShooting = false;
+        this.isAbstracted = false; // Set by AiManager when too far from the player to simulate
+        this.stunTimer = 0; // Seconds left blinded by a flashbang
+        
+        // Aim: how long the current target has been tracked, and shots fired in the current burst
+        this.trackedEntity = null;
+        this.trackingTime = 0;
+        this.burstShots = 0;
+        
+        // Targeting: candidates are reviewed every targetReviewInterval seconds, engaged if they score
+        // at least engageThreshold (lower for aggressive tiers), and the current target is only
+        // dropped for one scoring targetSwitchMargin more, or after targetMemory seconds out of sight
+        this.targetVisible = false;
+        this.lastKnownTargetPosition = null;
+        this.targetLostTimer = 0;
+        this.targetReviewTimer = Math.random() * 0.5; // Stagger reviews between bots
+        this.targetReviewInterval = 0.5;
+        this.targetSwitchMargin = 0.25;
+        this.targetMemory = 6;
+        this.engageThreshold = 0.8 * (1 - this.profile.aggression);
+        
+        // Who shot us last, and for how much longer we count as under fire
+        this.lastAttacker = null;
+        this.underFireTimer = 0;
+        
+        // Retreating: fall back below retreatHealth (earlier for cautious tiers) and stay out of the
+        // fight until back up to recoverHealth, unless a visible target is within corneredRange
+        this.retreatHealth = 0.25 + 0.25 * (1 - this.profile.aggression);
+        this.recoverHealth = 0.75;
+        this.corneredRange = 6;
+        this.isRetreating = false;
+        this.coverPoint = null;
+        this.coverTimer = 0;
+        this.coverSearchRange = 25;
+        
+        // Healing: a medkit takes healTime to apply; without one, health slowly regenerates in cover
+        this.medkits = 1;
+        this.maxMedkits = 2;
+        this.healTime = 2.5;
+        this.healTimer = 0;
+        this.regenRate = 4; // health per second
+        
+        // Fighting movement: strafing side while shooting, and a spot to go round a hidden target from
+        this.strafeSide = Math.random() < 0.5 ? 1 : -1;
+        this.strafeTimer = 0;
+        this.flankPoint = null;
+        this.flankAttempted = false;
+        
+        // Hearing: the last noise heard is investigated for up to noiseMemory seconds, searching
+        // around for searchTime once there (noises are heard through walls, unlike targets seen)
+        this.heardNoisePosition = null;
+        this.heardNoiseType = null;
+        this.noiseTimer = 0;
+        this.noiseMemory = 10;
+        this.searchTime = 3;
+        this.searchTimer = 0;
+        this.searchTurnRate = Math.PI / 2; // radians per second while looking around
+        
+        this.lootSearchRange = 15;
+        
+        // Navigation
+        this.path = []; // Remaining waypoints from World.navigation
+        this.pathGoal = null; // Goal the current path was planned for
+        this.repathTimer = 0;
+        this.separation = new THREE.Vector3(); // Push away from nearby bots (local steering)
         
         // Create visual representation
         this.createVisualModel();
         
-        // Weapon properties
-        this.damage = 10;
-        this.fireRate = 2; // shots per second
-        this.attackRange = 30;
-        this.detectionRange = 40;
+        // Weapon properties (by skill tier)
+        this.damage = this.profile.damage;
+        this.falloff = { fullDamageRange: 12, falloffEnd: 30, minDamage: 4 }; // Damage by distance, as in weapons.json
+        this.fireRate = this.profile.fireRate; // shots per second
+        this.projectileSpeed = 40;
+        this.attackRange = this.profile.attackRange;
+        this.detectionRange = this.profile.detectionRange;
+        this.soundRadius = 60; // How far away our shots can be heard
         this.lastFireTime = 0;
+        
+        // Vision (detectionRange is the focused vision distance)
+        this.fieldOfView = degToRad(120); // Full width of the vision cone
+        this.focusedFieldOfView = degToRad(40); // Central part of the cone that sees out to detectionRange
+        this.peripheralVisionRange = 15; // How far the rest of the cone sees
     }
     
     /**
@@ -340,6 +710,26 @@ class AiOpponent {
         rightArm.rotation.z = -Math.PI / 3;
         group.add(rightArm);
         
+        // Hit zones: one box per part, in the part's own space so they turn with the model
+        this.hitZones = [
+            { zone: 'head', mesh: head },
+            { zone: 'body', mesh: body },
+            { zone: 'limb', mesh: leftArm },
+            { zone: 'limb', mesh: rightArm }
+        ].map(hitZone => {
+            hitZone.mesh.geometry.computeBoundingBox();
+            const bounds = hitZone.mesh.geometry.boundingBox;
+            const size = bounds.getSize(new THREE.Vector3());
+            
+            hitZone.box = {
+                position: bounds.getCenter(new THREE.Vector3()),
+                width: size.x,
+                height: size.y,
+                depth: size.z
+            };
+            return hitZone;
+        });
+        
         // Set position
         group.position.copy(this.position);
         
@@ -354,82 +744,334 @@ class AiOpponent {
     update(deltaTime, player, opponents, world) {
         if (!this.isAlive) return;
         
+        // Flashed bots stand dazed, unable to see or shoot
+        if (this.stunTimer > 0) {
+            this.stunTimer -= deltaTime;
+            this.state = 'stunned';
+            this.isShooting = false;
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            this.updateMovement(deltaTime, world);
+            this.updateModel();
+            return;
+        }
+        
         // Update timers
         this.patrolTimer -= deltaTime;
-        this.attackTimer -= deltaTime;
         this.attackCooldown -= deltaTime;
+        this.underFireTimer -= deltaTime;
+        this.coverTimer -= deltaTime;
+        this.strafeTimer -= deltaTime;
+        this.noiseTimer -= deltaTime;
         
-        // Check if player is visible and in range
-        const playerPos = player.getPosition();
-        const distanceToPlayer = this.position.distanceTo(playerPos);
-        const canSeePlayer = this.canSeeTarget(playerPos, world);
+        // Keep some space between bots so they don't bunch up on the same path
+        this.separation.set(0, 0, 0);
+        opponents.forEach(opponent => {
+            if (opponent === this || !opponent.isAlive) return;
+            
+            const distance = this.position.distanceTo(opponent.position);
+            if (distance < 1.5 && distance > 0.01) {
+                const away = this.position.clone().sub(opponent.position);
+                away.y = 0;
+                this.separation.add(away.normalize().multiplyScalar((1.5 - distance) / 1.5));
+            }
+        });
         
-        // Check for nearby opponents
-        let nearestOpponent = null;
-        let nearestDistance = Infinity;
+        // Pick (or hold on to) a target, and track how long it has been in sight
+        this.updateTarget(deltaTime, player, opponents, world);
+        this.updateTracking(this.targetVisible ? this.targetEntity : null, deltaTime);
         
-        opponents.forEach(opponent => {
-            if (opponent.id !== this.id && opponent.isAlive) {
-                const distance = this.position.distanceTo(opponent.getPosition());
-                if (distance < this.detectionRange && distance < nearestDistance) {
-                    nearestOpponent = opponent;
-                    nearestDistance = distance;
+        // Decide what to do and do it (actions set velocity, facing and isShooting)
+        this.isShooting = false;
+        OPPONENT_BEHAVIOR.tick(this, { deltaTime: deltaTime, world: world });
+        
+        // Update position based on velocity
+        this.updateMovement(deltaTime, world);
+        
+        // Update model position and rotation
+        this.updateModel();
+    }
+    
+    /**
+     * Choose who to fight. Candidates in sight are scored every targetReviewInterval seconds and
+     * the current target is only given up for one scoring targetSwitchMargin better, or after
+     * targetMemory seconds out of sight (until then the bot goes after where it was last seen)
+     */
+    updateTarget(deltaTime, player, opponents, world) {
+        if (this.targetEntity && !this.targetEntity.isAlive) {
+            this.clearTarget();
+        }
+        
+        // Follow the current target while it's in sight, remember where it went when it isn't
+        if (this.targetEntity) {
+            this.targetVisible = this.canSeeTarget(this.targetEntity, world);
+            
+            if (this.targetVisible) {
+                this.lastKnownTargetPosition = this.targetEntity.getPosition();
+                this.targetLostTimer = 0;
+                this.flankAttempted = false;
+            } else {
+                this.targetLostTimer += deltaTime;
+                if (this.targetLostTimer > this.targetMemory) {
+                    this.clearTarget();
                 }
             }
+        }
+        
+        this.targetReviewTimer -= deltaTime;
+        if (this.targetReviewTimer > 0) return;
+        this.targetReviewTimer = this.targetReviewInterval;
+        
+        // Anyone worth switching to, best first (only then check who is actually in sight)
+        const minimumScore = this.targetEntity
+            ? this.getTargetScore(this.targetEntity) + this.targetSwitchMargin
+            : this.engageThreshold;
+        
+        const candidates = [];
+        if (player.isAlive) candidates.push(player);
+        opponents.forEach(opponent => {
+            if (opponent !== this && opponent.isAlive) candidates.push(opponent);
         });
         
-        // Decide what to do based on situation
-        if (canSeePlayer && distanceToPlayer < this.detectionRange) {
-            // Player detected, switch to chasing or attacking
-            if (distanceToPlayer < this.attackRange) {
-                this.state = 'attacking';
-                this.targetEntity = player;
-            } else {
-                this.state = 'chasing';
-                this.targetEntity = player;
+        const better = candidates
+            .filter(candidate => candidate !== this.targetEntity)
+            .map(candidate => ({ candidate: candidate, score: this.getTargetScore(candidate) }))
+            .filter(entry => entry.score > minimumScore)
+            .sort((a, b) => b.score - a.score);
+        
+        for (const entry of better) {
+            if (this.canSeeTarget(entry.candidate, world)) {
+                this.setTarget(entry.candidate, true);
+                return;
             }
-        } else if (nearestOpponent && Math.random() < 0.3) {
-            // Sometimes decide to attack other opponents
-            if (nearestDistance < this.attackRange) {
-                this.state = 'attacking';
-                this.targetEntity = nearestOpponent;
-            } else {
-                this.state = 'chasing';
-                this.targetEntity = nearestOpponent;
+        }
+    }
+    
+    /**
+     * How much a target is worth fighting: closer is better, the player is preferred,
+     * and whoever has just been shooting at us most of all
+     */
+    getTargetScore(target) {
+        let score = 1 - this.position.distanceTo(target.getPosition()) / this.detectionRange;
+        
+        if (!(target instanceof AiOpponent)) score += 0.3;
+        if (target === this.lastAttacker && this.underFireTimer > 0) score += 0.5;
+        
+        return score;
+    }
+    
+    /**
+     * Start fighting a target (seen, or only known from where it shot us from)
+     */
+    setTarget(target, visible) {
+        this.targetEntity = target;
+        this.targetVisible = visible;
+        this.lastKnownTargetPosition = target.getPosition();
+        this.targetLostTimer = 0;
+        this.flankPoint = null;
+        this.flankAttempted = false;
+        
+        // Whatever we heard is old news now
+        this.forgetNoise();
+    }
+    
+    /**
+     * Forget the current target
+     */
+    clearTarget() {
+        this.targetEntity = null;
+        this.targetVisible = false;
+        this.lastKnownTargetPosition = null;
+        this.flankPoint = null;
+    }
+    
+    /**
+     * Hear a noise within its radius (not our own, and not while deafened by a flashbang)
+     * @returns {boolean} True if it was heard
+     */
+    hearNoise(event) {
+        if (!this.isAlive || event.source === this || this.stunTimer > 0 || !event.isAudibleAt(this.position)) {
+            return false;
+        }
+        
+        this.heardNoisePosition = new THREE.Vector3(event.position.x, this.position.y, event.position.z);
+        this.heardNoiseType = event.type;
+        this.noiseTimer = this.noiseMemory;
+        this.searchTimer = 0;
+        return true;
+    }
+    
+    /**
+     * Stop investigating the last noise heard
+     */
+    forgetNoise() {
+        this.heardNoisePosition = null;
+        this.heardNoiseType = null;
+        this.searchTimer = 0;
+    }
+    
+    /**
+     * React to being shot: count as under fire and, if not already fighting, go after the attacker
+     */
+    registerAttacker(attacker) {
+        if (!attacker || attacker === this || !attacker.isAlive) return;
+        
+        this.lastAttacker = attacker;
+        this.underFireTimer = 2;
+        
+        if (!this.targetEntity) {
+            this.setTarget(attacker, false);
+        }
+    }
+    
+    /**
+     * Where danger is coming from: the target's last known position, or whoever shot us recently
+     */
+    getThreatPosition() {
+        if (this.lastKnownTargetPosition) {
+            return this.lastKnownTargetPosition;
+        }
+        if (this.lastAttacker && this.lastAttacker.isAlive && this.underFireTimer > -this.targetMemory) {
+            return this.lastAttacker.getPosition();
+        }
+        return null;
+    }
+    
+    /**
+     * Start falling back below retreatHealth and keep at it until healed to recoverHealth
+     */
+    shouldRetreat() {
+        const health = this.health / this.maxHealth;
+        
+        if (this.isRetreating) {
+            if (health >= this.recoverHealth) {
+                this.isRetreating = false;
+                this.coverPoint = null;
             }
-        } else if (this.patrolTimer <= 0) {
-            // Choose a new patrol point
-            this.state = 'patrolling';
-            this.targetPosition = this.generatePatrolPoint();
-            this.patrolTimer = 5 + Math.random() * 5; // 5-10 seconds
+        } else if (health < this.retreatHealth) {
+            this.isRetreating = true;
+            this.coverPoint = null;
         }
         
-        // Execute behavior based on state
-        switch (this.state) {
-            case 'patrolling':
-                this.patrol(deltaTime, world);
-                break;
-            case 'chasing':
-                this.chase(deltaTime, world);
-                break;
-            case 'attacking':
-                this.attack(deltaTime, world);
-                break;
+        return this.isRetreating;
+    }
+    
+    /**
+     * Check if a visible target is too close to turn our back on
+     */
+    isCornered() {
+        return this.targetVisible && this.position.distanceTo(this.targetEntity.getPosition()) < this.corneredRange;
+    }
+    
+    /**
+     * Check if it's quiet enough to heal: hidden from the threat, not being shot at and inside the zone
+     * (judged from the threat's side, so turning to watch it doesn't make us feel exposed)
+     */
+    isSafe(world) {
+        if (this.underFireTimer > 0 || !world.safeZone.isInside(this.position)) return false;
+        
+        const threat = this.getThreatPosition();
+        return !threat || !world.isVisionClear(threat, this.position);
+    }
+    
+    /**
+     * Retreat behavior - fall back to cover from the threat, or just away from it if there is none
+     */
+    retreat(deltaTime, world) {
+        // Any medkit being applied is abandoned
+        this.healTimer = 0;
+        
+        // Find cover when we have none, or now and then if the threat can see the spot we picked
+        const threat = this.getThreatPosition();
+        if (!this.coverPoint || (this.coverTimer <= 0 && threat && world.isVisionClear(threat, this.coverPoint))) {
+            this.coverPoint = (threat && world.findCoverPoint(this.position, threat, this.coverSearchRange)) ||
+                this.getFleePoint(threat, world);
+            this.coverTimer = 1.5;
         }
         
-        // Update position based on velocity
-        this.updateMovement(deltaTime, world);
+        const dx = this.coverPoint.x - this.position.x;
+        const dz = this.coverPoint.z - this.position.z;
+        if (dx * dx + dz * dz > 1.0) {
+            this.moveTowards(this.coverPoint, this.moveSpeed, deltaTime, world);
+        } else {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+        }
         
-        // Update model position and rotation
-        this.updateModel();
+        return 'running';
+    }
+    
+    /**
+     * Somewhere to run when there's no cover: straight away from the threat, or into the safe zone
+     */
+    getFleePoint(threat, world) {
+        const zone = world.safeZone;
+        if (!threat || !zone.isInside(this.position)) {
+            const point = zone.getPointInsideNext();
+            point.y = this.position.y;
+            return point;
+        }
+        
+        const away = this.position.clone().sub(threat);
+        away.y = 0;
+        if (away.lengthSq() < 0.01) {
+            away.set(1, 0, 0);
+        }
+        
+        return this.position.clone().addScaledVector(away.normalize(), 15);
+    }
+    
+    /**
+     * Heal behavior - stand still watching the way danger came from, using a medkit if we have one
+     */
+    heal(deltaTime) {
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        
+        const threat = this.getThreatPosition();
+        if (threat) {
+            const toThreat = threat.clone().sub(this.position);
+            toThreat.y = 0;
+            if (toThreat.lengthSq() > 0.01) {
+                this.direction.copy(toThreat.normalize());
+            }
+        }
+        
+        if (this.medkits > 0) {
+            this.healTimer += deltaTime;
+            if (this.healTimer >= this.healTime) {
+                this.health = Math.min(this.maxHealth, this.health + 50);
+                this.medkits--;
+                this.healTimer = 0;
+            }
+        } else {
+            this.health = Math.min(this.maxHealth, this.health + this.regenRate * deltaTime);
+        }
+        
+        return 'running';
     }
     
     /**
      * Patrol behavior - move to random points
      */
     patrol(deltaTime, world) {
-        if (!this.targetPosition) {
-            this.targetPosition = this.generatePatrolPoint();
+        // Choose a new patrol point now and then, or when the zone is closing in without us
+        if (!this.targetPosition || this.patrolTimer <= 0 || this.shouldRotateToZone(world)) {
+            this.targetPosition = this.generatePatrolPoint(world);
+            this.patrolTimer = 5 + Math.random() * 5; // 5-10 seconds
+        }
+        
+        // Detour for nearby loot we can use, picking it up once in reach
+        const loot = world.loot.findNearest(this.position, this.lootSearchRange, item => this.canUseLoot(item));
+        if (loot) {
+            const dx = loot.position.x - this.position.x;
+            const dz = loot.position.z - this.position.z;
+            
+            if (Math.sqrt(dx * dx + dz * dz) <= world.loot.pickupRange) {
+                world.loot.pickup(loot, this);
+            } else {
+                this.targetPosition = new THREE.Vector3(loot.position.x, this.position.y, loot.position.z);
+            }
         }
         
         // Move towards patrol point
@@ -440,115 +1082,257 @@ class AiOpponent {
         
         // If reached target, get new target
         if (distance < 1.0) {
-            this.targetPosition = this.generatePatrolPoint();
+            this.targetPosition = this.generatePatrolPoint(world);
             this.patrolTimer = 5 + Math.random() * 5; // 5-10 seconds
         }
         
-        // Set movement direction
-        toTarget.normalize();
-        this.velocity.x = toTarget.x * this.moveSpeed * 0.5; // Move slower when patrolling
-        this.velocity.z = toTarget.z * this.moveSpeed * 0.5;
+        // Follow the navigation path, moving slower when patrolling
+        this.moveTowards(this.targetPosition, this.moveSpeed * 0.5, deltaTime, world);
         
-        // Update direction for model rotation
-        this.direction.copy(toTarget);
+        return 'running';
     }
     
     /**
-     * Chase behavior - move towards target entity
+     * Investigate behavior - head for where a noise was heard, then look around for a while
+     * (given up once it's too old, or when the zone calls us elsewhere)
      */
-    chase(deltaTime, world) {
-        if (!this.targetEntity) {
-            this.state = 'patrolling';
-            return;
+    investigate(deltaTime, world) {
+        if (this.noiseTimer <= 0 || this.shouldRotateToZone(world)) {
+            this.forgetNoise();
+            return 'failure';
         }
         
-        // Get target position
-        const targetPos = this.targetEntity.getPosition();
+        const dx = this.heardNoisePosition.x - this.position.x;
+        const dz = this.heardNoisePosition.z - this.position.z;
+        if (dx * dx + dz * dz > 2.0 * 2.0) {
+            // Careful approach, a little faster than patrolling
+            this.moveTowards(this.heardNoisePosition, this.moveSpeed * 0.75, deltaTime, world);
+            return 'running';
+        }
         
-        // Calculate direction to target
-        const toTarget = targetPos.clone().sub(this.position);
-        toTarget.y = 0; // Keep movement on ground plane
+        // There: stand and turn to scan the area
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.searchTurnRate * deltaTime);
         
-        const distance = toTarget.length();
+        this.searchTimer += deltaTime;
+        if (this.searchTimer >= this.searchTime) {
+            this.forgetNoise();
+        }
         
-        // If within attack range, switch to attacking
-        if (distance < this.attackRange) {
-            this.state = 'attacking';
-            return;
+        return 'running';
+    }
+    
+    /**
+     * Chase behavior - move towards the target, or where it was last seen
+     */
+    chase(deltaTime, world) {
+        const goal = this.targetVisible ? this.targetEntity.getPosition() : this.lastKnownTargetPosition;
+        if (!goal) return 'failure';
+        
+        // Follow the navigation path to the target
+        this.moveTowards(goal, this.moveSpeed, deltaTime, world);
+        
+        // Keep facing a target in sight rather than the way we're walking
+        if (this.targetVisible) {
+            this.faceTarget();
         }
         
-        // Set movement direction
-        toTarget.normalize();
-        this.velocity.x = toTarget.x * this.moveSpeed;
-        this.velocity.z = toTarget.z * this.moveSpeed;
+        return 'running';
+    }
+    
+    /**
+     * Check if a target that just ducked out of sight nearby is worth going round the side of
+     * (once per sighting, so a failed flank falls back to chasing)
+     */
+    shouldFlank() {
+        if (this.targetVisible || this.flankAttempted || !this.lastKnownTargetPosition) return false;
         
-        // Update direction for model rotation
-        this.direction.copy(toTarget);
+        return this.position.distanceTo(this.lastKnownTargetPosition) < this.attackRange;
     }
     
     /**
-     * Attack behavior - shoot at target
+     * Flank behavior - swing round to the side of where the target was last seen
      */
-    attack(deltaTime, world) {
-        if (!this.targetEntity) {
-            this.state = 'patrolling';
-            return;
+    flank(deltaTime, world) {
+        if (!this.flankPoint) {
+            this.flankPoint = this.chooseFlankPoint(world);
+            if (!this.flankPoint) {
+                this.flankAttempted = true;
+                return 'failure';
+            }
         }
         
-        // Get target position
-        const targetPos = this.targetEntity.getPosition();
+        // Arrived without finding the target: give up and chase instead
+        const dx = this.flankPoint.x - this.position.x;
+        const dz = this.flankPoint.z - this.position.z;
+        if (dx * dx + dz * dz <= 1.5 * 1.5) {
+            this.flankPoint = null;
+            this.flankAttempted = true;
+            return 'failure';
+        }
         
-        // Calculate direction to target
-        const toTarget = targetPos.clone().sub(this.position);
-        toTarget.y = 0; // Keep on ground plane for rotation
+        this.moveTowards(this.flankPoint, this.moveSpeed, deltaTime, world);
+        return 'running';
+    }
+    
+    /**
+     * Pick a reachable spot off to one side of where the target was last seen, closer in than we are
+     * @returns {THREE.Vector3|null}
+     */
+    chooseFlankPoint(world) {
+        const target = this.lastKnownTargetPosition;
+        const fromTarget = this.position.clone().sub(target);
+        fromTarget.y = 0;
+        
+        const distance = fromTarget.length();
+        if (distance < 0.01) return null;
+        fromTarget.normalize();
+        
+        // Half way in, and well out to the side (either side, in random order)
+        const side = new THREE.Vector3(-fromTarget.z, 0, fromTarget.x);
+        const sideDistance = Math.max(6, distance * 0.6);
+        const signs = Math.random() < 0.5 ? [1, -1] : [-1, 1];
+        
+        for (const sign of signs) {
+            const point = target.clone()
+                .addScaledVector(fromTarget, distance * 0.5)
+                .addScaledVector(side, sign * sideDistance);
+            point.y = this.position.y;
+            
+            if (world.navigation.isWalkable(point) && world.safeZone.isInside(point)) {
+                return point;
+            }
+        }
         
-        const distance = toTarget.length();
+        return null;
+    }
+    
+    /**
+     * Attack behavior - strafe side to side while shooting at a target in sight
+     * Aggressive bots drift in on the target as they strafe, cautious ones give ground
+     */
+    strafeAndShoot(deltaTime, world) {
+        const toTarget = this.targetEntity.getPosition().sub(this.position);
+        toTarget.y = 0;
+        toTarget.normalize();
         
-        // If target moved out of range, chase again
-        if (distance > this.attackRange) {
-            this.state = 'chasing';
-            return;
+        // Switch sides every second or two to be harder to hit
+        if (this.strafeTimer <= 0) {
+            this.strafeSide = -this.strafeSide;
+            this.strafeTimer = 0.8 + Math.random() * 1.2;
         }
         
-        // Face target
-        this.direction.copy(toTarget.normalize());
+        const strafe = new THREE.Vector3(-toTarget.z, 0, toTarget.x).multiplyScalar(this.strafeSide)
+            .addScaledVector(toTarget, this.profile.aggression - 0.4)
+            .add(this.separation);
+        strafe.y = 0;
+        strafe.normalize();
         
-        // Occasionally move to a better position
-        if (this.attackTimer <= 0) {
-            // Move to a slightly different position to avoid being static
-            const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * 5,
-                0,
-                (Math.random() - 0.5) * 5
-            );
-            this.targetPosition = this.position.clone().add(offset);
-            this.attackTimer = 2 + Math.random() * 2; // 2-4 seconds
-        }
+        const speed = this.moveSpeed * (0.3 + 0.5 * this.profile.aggression);
+        this.velocity.x = strafe.x * speed;
+        this.velocity.z = strafe.z * speed;
         
-        // Move towards that position while attacking
-        if (this.targetPosition) {
-            const toPosition = this.targetPosition.clone().sub(this.position);
-            toPosition.y = 0;
-            
-            if (toPosition.length() > 1.0) {
-                toPosition.normalize();
-                this.velocity.x = toPosition.x * this.moveSpeed * 0.5;
-                this.velocity.z = toPosition.z * this.moveSpeed * 0.5;
-            } else {
-                this.velocity.x = 0;
-                this.velocity.z = 0;
-            }
+        this.faceTarget();
+        this.tryShoot();
+        
+        return 'running';
+    }
+    
+    /**
+     * Turn to face the current target
+     */
+    faceTarget() {
+        const toTarget = this.targetEntity.getPosition().sub(this.position);
+        toTarget.y = 0;
+        if (toTarget.lengthSq() > 0.01) {
+            this.direction.copy(toTarget.normalize());
         }
+    }
+    
+    /**
+     * Fire at the target in sight once reacted and cooled down, in bursts with a pause between them
+     */
+    tryShoot() {
+        if (!this.targetVisible || this.trackingTime < this.profile.reactionTime || this.attackCooldown > 0) return;
         
-        // Shoot at target if cooled down
-        if (this.attackCooldown <= 0) {
+        if (this.burstShots >= this.profile.burst.length) {
+            this.burstShots = 0;
+            this.attackCooldown = this.profile.burst.pause;
+        } else {
             this.isShooting = true;
             this.attackCooldown = 1 / this.fireRate; // Based on fire rate
+        }
+    }
+    
+    /**
+     * Accumulate time spent tracking a target (null when nothing is in sight)
+     */
+    updateTracking(target, deltaTime) {
+        if (target && target === this.trackedEntity) {
+            this.trackingTime += deltaTime;
         } else {
-            this.isShooting = false;
+            this.trackedEntity = target;
+            this.trackingTime = 0;
+            this.burstShots = 0;
         }
     }
     
+    /**
+     * Current spread in radians: settles while tracking after the reaction time, grows with each shot of a burst
+     */
+    getAimError() {
+        const aimError = this.profile.aimError;
+        const settled = clamp((this.trackingTime - this.profile.reactionTime) / aimError.settleTime, 0, 1);
+        return lerp(aimError.initial, aimError.min, settled) + this.burstShots * this.profile.sprayPenalty;
+    }
+    
+    /**
+     * Steer towards a goal along a path from the navigation grid
+     * Repaths when the goal moves, periodically, and soon after bumping into something
+     */
+    moveTowards(goal, speed, deltaTime, world) {
+        this.repathTimer -= deltaTime;
+        
+        const goalMoved = !this.pathGoal || this.pathGoal.distanceTo(goal) > 2.0;
+        if (goalMoved || this.repathTimer <= 0) {
+            this.path = world.navigation.findPath(this.position, goal);
+            this.pathGoal = goal.clone();
+            this.repathTimer = 1 + Math.random() * 0.5; // Stagger so bots don't all repath on one frame
+        }
+        
+        // Drop waypoints we've reached
+        while (this.path.length > 0) {
+            const dx = this.path[0].x - this.position.x;
+            const dz = this.path[0].z - this.position.z;
+            if (dx * dx + dz * dz > 1.0) break;
+            this.path.shift();
+        }
+        
+        // Head for the next waypoint, or straight for the goal if there is no path
+        const waypoint = this.path.length > 0 ? this.path[0] : goal;
+        const toWaypoint = waypoint.clone().sub(this.position);
+        toWaypoint.y = 0; // Keep movement on ground plane
+        
+        if (toWaypoint.length() < 0.01) {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            return;
+        }
+        toWaypoint.normalize();
+        
+        // Local steering: blend in separation from nearby bots
+        const steering = toWaypoint.clone().add(this.separation);
+        steering.y = 0;
+        steering.normalize();
+        
+        this.velocity.x = steering.x * speed;
+        this.velocity.z = steering.z * speed;
+        
+        // Update direction for model rotation
+        this.direction.copy(toWaypoint);
+    }
+    
     /**
      * Update physical movement with collision detection
      */
@@ -556,8 +1340,9 @@ class AiOpponent {
         // Apply gravity
         this.velocity.y -= 9.8 * deltaTime;
         
-        // Calculate movement for this frame
-        const movement = this.velocity.clone().multiplyScalar(deltaTime);
+        // Calculate movement for this frame (steering plus any blast push)
+        const movement = this.velocity.clone().add(this.knockback).multiplyScalar(deltaTime);
+        this.knockback.multiplyScalar(Math.max(0, 1 - 4 * deltaTime));
         
         // Detect collisions with world
         const collision = world.checkCollision(
@@ -570,6 +1355,11 @@ class AiOpponent {
         // Update position based on collision result
         this.position.add(collision.movement);
         
+        // Bumped into something, so plan a fresh path shortly
+        if (collision.blocked.x || collision.blocked.z) {
+            this.repathTimer = Math.min(this.repathTimer, 0.25);
+        }
+        
         // Update velocity based on collision
         this.velocity.x = collision.blocked.x ? 0 : this.velocity.x;
         this.velocity.y = collision.blocked.y ? 0 : this.velocity.y;
@@ -591,43 +1381,150 @@ class AiOpponent {
         }
     }
     
+    /**
+     * Check if we're outside the next safe circle and not already heading into it
+     */
+    shouldRotateToZone(world) {
+        const zone = world.safeZone;
+        if (!zone.isClosingIn() || zone.isInsideNext(this.position)) return false;
+        
+        return this.state !== 'patrolling' || !this.targetPosition || !zone.isInsideNext(this.targetPosition);
+    }
+    
     /**
      * Generate a random patrol point
      */
-    generatePatrolPoint() {
+    generatePatrolPoint(world) {
+        // Outside the next safe circle, head into it instead of wandering
+        const zone = world.safeZone;
+        if (zone.isClosingIn() && !zone.isInsideNext(this.position)) {
+            const point = zone.getPointInsideNext();
+            point.y = this.position.y;
+            return point;
+        }
+        
         // Generate point within a certain radius of current position
         const radius = 20;
-        const angle = Math.random() * Math.PI * 2;
+        let point = null;
         
-        return new THREE.Vector3(
-            this.position.x + Math.cos(angle) * radius,
-            this.position.y,
-            this.position.z + Math.sin(angle) * radius
-        );
+        // Prefer points the navigation grid can actually reach
+        for (let attempts = 0; attempts < 5; attempts++) {
+            const angle = Math.random() * Math.PI * 2;
+            
+            point = new THREE.Vector3(
+                this.position.x + Math.cos(angle) * radius,
+                this.position.y,
+                this.position.z + Math.sin(angle) * radius
+            );
+            
+            if (world.navigation.isWalkable(point)) break;
+        }
+        
+        return point;
     }
     
     /**
-     * Check if AI can see the target (raycasting)
+     * Check if AI can see the target (vision cone plus raycasting against obstacles)
      */
-    canSeeTarget(targetPosition, world) {
-        const dirToTarget = targetPosition.clone().sub(this.position).normalize();
+    canSeeTarget(target, world) {
+        const targetPosition = target.getPosition();
         const distToTarget = this.position.distanceTo(targetPosition);
         
+        // Harder to spot targets (crouched, standing still) have to be closer to be noticed
+        const visibility = target.getVisibility();
+        
         // Skip raycasting if too far
-        if (distToTarget > this.detectionRange) {
+        if (distToTarget > this.detectionRange * visibility) {
             return false;
         }
         
-        // Simple line of sight check - could use raycasting with Three.js in a full implementation
-        return true; // Simplified - assume can always see if in range
+        // Angle between where we are facing and the target, on the ground plane
+        const toTarget = targetPosition.clone().sub(this.position);
+        toTarget.y = 0;
+        const facing = this.direction.clone();
+        facing.y = 0;
+        const angle = facing.angleTo(toTarget);
+        
+        // Outside the vision cone entirely
+        if (angle > this.fieldOfView / 2) {
+            return false;
+        }
+        
+        // Peripheral vision only picks up nearby targets
+        if (angle > this.focusedFieldOfView / 2 && distToTarget > this.peripheralVisionRange * visibility) {
+            return false;
+        }
+        
+        // Visible if either the head or the centre of the body is unobstructed (smoke hides both)
+        return world.isVisionClear(this.position, targetPosition) ||
+            world.isVisionClear(this.position, target.getHitBox().position);
+    }
+    
+    /**
+     * How easy this opponent is to spot (1 = fully visible)
+     */
+    getVisibility() {
+        // Standing still is harder to pick out than moving
+        const horizontalSpeed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z);
+        return horizontalSpeed < 0.1 ? 0.7 : 1.0;
+    }
+    
+    /**
+     * Check if a loot item is worth picking up
+     */
+    canUseLoot(item) {
+        switch (item.type) {
+            case 'medkit':
+                return this.medkits < this.maxMedkits;
+            case 'armor':
+                return this.armor.isUpgrade(item.definition.slot, item.definition.tier);
+            default:
+                // Bots have unlimited ammo and a fixed loadout
+                return false;
+        }
+    }
+    
+    /**
+     * Take a loot item
+     * @returns {boolean} True if the item was used
+     */
+    collectLoot(item) {
+        if (!this.canUseLoot(item)) return false;
+        
+        if (item.type === 'medkit') {
+            this.medkits = Math.min(this.maxMedkits, this.medkits + item.definition.amount);
+        } else if (item.type === 'armor') {
+            this.armor.equip(item.definition.slot, item.definition.tier);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get pushed by an explosion
+     */
+    applyKnockback(impulse) {
+        this.knockback.x += impulse.x;
+        this.knockback.z += impulse.z;
+        this.velocity.y += impulse.y;
+    }
+    
+    /**
+     * Get blinded by a flashbang for a while
+     */
+    stun(duration) {
+        this.stunTimer = Math.max(this.stunTimer, duration);
     }
     
     /**
      * Take damage and check if killed
+     * @param {string} [zone] Hit zone ('head', 'body' or 'limb'), deciding which armor piece absorbs it
+     * @param {Object} [options] ignoreArmor: taken in full whatever the zone (the safe zone, fire)
      * @returns {boolean} True if killed
      */
-    takeDamage(amount) {
-        this.health -= amount;
+    takeDamage(amount, zone = 'body', options = {}) {
+        // Armor absorbs part of head and body hits, the same as for the player
+        this.health -= options.ignoreArmor ? amount : this.armor.absorb(amount, zone);
         
         if (this.health <= 0) {
             this.die();
@@ -665,6 +1562,46 @@ class AiOpponent {
         return this.position.clone();
     }
     
+    /**
+     * Find the first body part crossed by the segment start -> end
+     * @returns {Object|null} { zone, fraction } or null if no part was hit
+     */
+    findHitZone(start, end) {
+        if (!this.model) return null;
+        this.model.updateMatrixWorld();
+        
+        let hitZone = null;
+        let hitFraction = Infinity;
+        const inverse = new THREE.Matrix4();
+        
+        for (const { zone, mesh, box } of this.hitZones) {
+            // Test in the part's space (fractions along the segment are unchanged)
+            inverse.copy(mesh.matrixWorld).invert();
+            const localStart = start.clone().applyMatrix4(inverse);
+            const localEnd = end.clone().applyMatrix4(inverse);
+            
+            const fraction = segmentBoxIntersection(localStart, localEnd, box);
+            if (fraction !== null && fraction < hitFraction) {
+                hitZone = zone;
+                hitFraction = fraction;
+            }
+        }
+        
+        return hitZone ? { zone: hitZone, fraction: hitFraction } : null;
+    }
+    
+    /**
+     * Get the box used for explosion and line of sight checks (matches the visual model)
+     */
+    getHitBox() {
+        return {
+            position: new THREE.Vector3(this.position.x, this.position.y + 0.025, this.position.z),
+            width: 1.0,
+            height: 1.75,
+            depth: 1.0
+        };
+    }
+    
     /**
      * Remove from scene
      */
@@ -686,25 +1623,30 @@ class AiOpponent {
         // Update fire time
         this.lastFireTime = now;
         
-        // Calculate direction to target with some inaccuracy
+        // Aim ahead of a moving target by however much of its travel this tier accounts for
+        const origin = this.position.clone().add(new THREE.Vector3(0, 0.5, 0)); // Shoot from "gun" height
         const targetPos = this.targetEntity.getPosition();
-        const direction = targetPos.clone().sub(this.position).normalize();
+        const flightTime = origin.distanceTo(targetPos) / this.projectileSpeed;
+        targetPos.addScaledVector(this.targetEntity.velocity, flightTime * this.profile.leadFactor);
+        const direction = targetPos.sub(origin).normalize();
         
-        // Add some random spread/inaccuracy
-        const spread = 0.1;
+        // Add random spread from the tier's current aim error
+        const spread = this.getAimError();
         direction.x += (Math.random() - 0.5) * spread;
         direction.y += (Math.random() - 0.5) * spread;
         direction.z += (Math.random() - 0.5) * spread;
         direction.normalize();
+        this.burstShots++;
         
         // Create projectile
         return new Projectile(
             this.scene,
-            this.position.clone().add(new THREE.Vector3(0, 0.5, 0)), // Shoot from "gun" height
+            origin,
             direction,
             this.damage,
-            30, // range
-            40  // speed
+            this.attackRange, // range
+            this.projectileSpeed,
+            { owner: this, falloff: this.falloff }
         );
     }
 }
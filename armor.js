@@ -0,0 +1,116 @@
+/**
+ * Tiered armor pieces shared by the Player and AiOpponent
+ * A vest protects body hits, a helmet protects head hits; limbs are never covered
+ */
+
+// Armor pieces by slot and tier: absorption is the share of damage taken by the piece,
+// durability is how much damage it can absorb before breaking
+const ARMOR_TIERS = {
+    vest: [
+        null,
+        { name: 'Light Vest', absorption: 0.3, durability: 50 },
+        { name: 'Tactical Vest', absorption: 0.45, durability: 80 },
+        { name: 'Heavy Vest', absorption: 0.6, durability: 120 }
+    ],
+    helmet: [
+        null,
+        { name: 'Light Helmet', absorption: 0.3, durability: 30 },
+        { name: 'Tactical Helmet', absorption: 0.45, durability: 50 },
+        { name: 'Heavy Helmet', absorption: 0.6, durability: 80 }
+    ]
+};
+
+// Which armor slot covers each hit zone
+const ARMOR_COVERAGE = { body: 'vest', head: 'helmet' };
+
+/**
+ * Get the definition of an armor piece
+ */
+function getArmorTier(slot, tier) {
+    const definition = ARMOR_TIERS[slot] && ARMOR_TIERS[slot][tier];
+    if (!definition) {
+        throw new Error(`Unknown armor "${slot}" tier ${tier}`);
+    }
+    return definition;
+}
+
+/**
+ * The armor a character is wearing: at most one vest and one helmet
+ */
+class Armor {
+    constructor() {
+        // Slot -> { tier, durability, maxDurability, absorption }, or null when not worn
+        this.pieces = { vest: null, helmet: null };
+    }
+    
+    /**
+     * Take off all armor
+     */
+    reset() {
+        this.pieces.vest = null;
+        this.pieces.helmet = null;
+    }
+    
+    /**
+     * Check if a piece would be an upgrade: a higher tier, or the same tier in better condition
+     */
+    isUpgrade(slot, tier) {
+        const current = this.pieces[slot];
+        if (!current) return true;
+        if (tier !== current.tier) return tier > current.tier;
+        return current.durability < current.maxDurability;
+    }
+    
+    /**
+     * Put on a fresh piece of armor
+     * @returns {boolean} False if it wasn't an upgrade (and was left alone)
+     */
+    equip(slot, tier) {
+        if (!this.isUpgrade(slot, tier)) return false;
+        
+        const definition = getArmorTier(slot, tier);
+        this.pieces[slot] = {
+            tier: tier,
+            durability: definition.durability,
+            maxDurability: definition.durability,
+            absorption: definition.absorption
+        };
+        return true;
+    }
+    
+    /**
+     * Let the piece covering a hit zone soak up part of the damage
+     * @returns {number} Damage that gets through to health
+     */
+    absorb(amount, zone) {
+        const slot = ARMOR_COVERAGE[zone];
+        const piece = slot ? this.pieces[slot] : null;
+        if (!piece) return amount;
+        
+        // The piece can only take what it has durability left for
+        const absorbed = Math.min(amount * piece.absorption, piece.durability);
+        piece.durability -= absorbed;
+        
+        // Broken armor falls apart
+        if (piece.durability <= 0) {
+            this.pieces[slot] = null;
+        }
+        
+        return amount - absorbed;
+    }
+    
+    /**
+     * Get a piece's remaining durability as a fraction (0 when not worn)
+     */
+    getCondition(slot) {
+        const piece = this.pieces[slot];
+        return piece ? piece.durability / piece.maxDurability : 0;
+    }
+    
+    /**
+     * Get the tier worn in a slot (0 when not worn)
+     */
+    getTier(slot) {
+        return this.pieces[slot] ? this.pieces[slot].tier : 0;
+    }
+}
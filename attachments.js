@@ -0,0 +1,122 @@
+/**
+ * Weapon attachments: data-driven parts that fit a weapon slot and modify its stats
+ */
+
+// Registered attachment definitions, keyed by attachment key
+const ATTACHMENT_DEFINITIONS = {};
+
+// Slots a weapon can offer (see attachmentPoints in weapons.json)
+const ATTACHMENT_SLOTS = ['optic', 'muzzle', 'magazine', 'underbarrel'];
+
+// Stat modifiers an attachment may set
+const ATTACHMENT_MODIFIERS = ['zoomFOV', 'magSizeMultiplier', 'spreadMultiplier', 'recoilMultiplier', 'soundRadiusMultiplier'];
+
+/**
+ * Raised when an attachment definition fails validation
+ */
+class AttachmentDefinitionError extends Error {
+    constructor(key, problems) {
+        super(`Invalid attachment definition "${key}": ${problems.join('; ')}`);
+        this.name = 'AttachmentDefinitionError';
+        this.key = key;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Check an attachment definition against the schema
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateAttachmentDefinition(definition) {
+    const problems = [];
+    
+    if (typeof definition !== 'object' || definition === null) {
+        return ['definition must be an object'];
+    }
+    
+    if (typeof definition.name !== 'string' || definition.name.length === 0) {
+        problems.push('name must be a non-empty string');
+    }
+    
+    if (!ATTACHMENT_SLOTS.includes(definition.slot)) {
+        problems.push(`slot must be one of ${ATTACHMENT_SLOTS.join(', ')}`);
+    }
+    
+    // Modifiers
+    const modifiers = definition.modifiers;
+    if (typeof modifiers !== 'object' || modifiers === null) {
+        problems.push('modifiers must be an object');
+    } else {
+        Object.keys(modifiers).forEach(key => {
+            const value = modifiers[key];
+            if (!ATTACHMENT_MODIFIERS.includes(key)) {
+                problems.push(`modifiers.${key} is not a known modifier (${ATTACHMENT_MODIFIERS.join(', ')})`);
+            } else if (!isNumber(value) || value <= 0) {
+                problems.push(`modifiers.${key} must be a positive number`);
+            }
+        });
+        if (modifiers.zoomFOV !== undefined && modifiers.zoomFOV >= 75) {
+            problems.push('modifiers.zoomFOV must be below the default FOV (75)');
+        }
+    }
+    
+    // Model parts, placed relative to the weapon's attachment point
+    if (!Array.isArray(definition.parts) || definition.parts.length === 0) {
+        problems.push('parts must be a non-empty array');
+    } else {
+        problems.push(...validateModelParts(definition.parts, 'parts'));
+    }
+    
+    return problems;
+}
+
+/**
+ * Validate and register attachment definitions (key -> definition)
+ * @throws {AttachmentDefinitionError} If any definition is invalid
+ */
+function registerAttachmentDefinitions(definitions) {
+    Object.keys(definitions).forEach(key => {
+        const problems = validateAttachmentDefinition(definitions[key]);
+        if (problems.length > 0) {
+            throw new AttachmentDefinitionError(key, problems);
+        }
+    });
+    
+    // Only register once everything is known to be valid
+    Object.keys(definitions).forEach(key => {
+        ATTACHMENT_DEFINITIONS[key] = Object.assign({ key: key }, definitions[key]);
+    });
+}
+
+/**
+ * Fetch attachment definitions from a JSON file and register them
+ */
+function loadAttachmentDefinitions(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load attachment definitions from ${url} (${response.status})`);
+            }
+            return response.json();
+        })
+        .then(definitions => registerAttachmentDefinitions(definitions));
+}
+
+/**
+ * Get a registered attachment definition
+ */
+function getAttachmentDefinition(key) {
+    const definition = ATTACHMENT_DEFINITIONS[key];
+    if (!definition) {
+        throw new Error(`Unknown attachment "${key}"`);
+    }
+    return definition;
+}
+
+/**
+ * Get the keys of every registered attachment that fits a weapon type
+ */
+function getCompatibleAttachments(type) {
+    const points = getWeaponDefinition(type).attachmentPoints || {};
+    return Object.keys(ATTACHMENT_DEFINITIONS).filter(key => points[ATTACHMENT_DEFINITIONS[key].slot]);
+}
@@ -0,0 +1,93 @@
+/**
+ * Minimal behavior tree used for AI decisions
+ * Nodes are shared between agents and keep no state of their own: tick(agent, context)
+ * returns 'success', 'failure' or 'running', and anything that has to last between
+ * frames lives on the agent. Trees are re-run from the root every frame, so higher
+ * priority branches take over as soon as their conditions hold
+ */
+
+/**
+ * Base node
+ */
+class BehaviorNode {
+    constructor(name) {
+        this.name = name;
+    }
+    
+    /**
+     * Run the node for one frame
+     * @returns {string} 'success', 'failure' or 'running'
+     */
+    tick(agent, context) {
+        return 'failure';
+    }
+}
+
+/**
+ * Tries children in priority order until one doesn't fail
+ */
+class BehaviorSelector extends BehaviorNode {
+    constructor(name, children) {
+        super(name);
+        this.children = children;
+    }
+    
+    tick(agent, context) {
+        for (const child of this.children) {
+            const status = child.tick(agent, context);
+            if (status !== 'failure') return status;
+        }
+        return 'failure';
+    }
+}
+
+/**
+ * Runs children in order, stopping at the first one that fails or is still running
+ */
+class BehaviorSequence extends BehaviorNode {
+    constructor(name, children) {
+        super(name);
+        this.children = children;
+    }
+    
+    tick(agent, context) {
+        for (const child of this.children) {
+            const status = child.tick(agent, context);
+            if (status !== 'success') return status;
+        }
+        return 'success';
+    }
+}
+
+/**
+ * Succeeds when predicate(agent, context) is true
+ */
+class BehaviorCondition extends BehaviorNode {
+    constructor(name, predicate) {
+        super(name);
+        this.predicate = predicate;
+    }
+    
+    tick(agent, context) {
+        return this.predicate(agent, context) ? 'success' : 'failure';
+    }
+}
+
+/**
+ * Leaf that does something: run(agent, context) returns the status
+ * Actions that don't fail record their name as the agent's state
+ */
+class BehaviorAction extends BehaviorNode {
+    constructor(name, run) {
+        super(name);
+        this.run = run;
+    }
+    
+    tick(agent, context) {
+        const status = this.run(agent, context);
+        if (status !== 'failure') {
+            agent.state = this.name;
+        }
+        return status;
+    }
+}
@@ -15,6 +15,11 @@ class Controls {
         this.moveLeft = false;
         this.moveRight = false;
         this.jump = false;
+        this.sprint = false;
+        this.crouch = false;
+        
+        // Held to throw grenades underhand
+        this.underhand = false;
         
         // Mouse state
         this.isMouseDown = false;
@@ -104,6 +109,18 @@ class Controls {
                 case 'Space':
                     this.jump = true;
                     break;
+                case 'ShiftLeft':
+                case 'ShiftRight':
+                    this.sprint = true;
+                    break;
+                case 'KeyC':
+                    this.crouch = true;
+                    break;
+                case 'AltLeft':
+                case 'AltRight':
+                    this.underhand = true;
+                    event.preventDefault(); // Keep the browser menu bar from taking focus
+                    break;
                 
                 // Weapon switching
                 case 'Digit1':
@@ -115,19 +132,39 @@ class Controls {
                 case 'Digit3':
                     if (gameRunning) game.player.switchWeapon(2);
                     break;
+                case 'Digit4':
+                    if (gameRunning) game.player.switchWeapon(3);
+                    break;
                 
                 // Equipment
                 case 'KeyG':
-                    if (gameRunning) game.player.throwGrenade();
+                    // Held to cook; key repeat would pull another pin
+                    if (gameRunning && !event.repeat) game.player.cookGrenade();
+                    break;
+                case 'KeyQ':
+                    if (gameRunning) game.player.cycleGrenade();
                     break;
                 case 'KeyH':
                     if (gameRunning) game.player.useMedkit();
                     break;
+                case 'KeyE':
+                    if (gameRunning) game.pickupLoot();
+                    break;
+                
+                // Fire mode
+                case 'KeyB':
+                    if (gameRunning) game.player.cycleFireMode();
+                    break;
                 
                 // Reload
                 case 'KeyR':
                     if (gameRunning) game.player.currentWeapon.reload();
                     break;
+                
+                // Debug
+                case 'KeyN':
+                    if (gameRunning) game.toggleNoiseDebug();
+                    break;
             }
         });
         
@@ -148,6 +185,23 @@ class Controls {
                 case 'Space':
                     this.jump = false;
                     break;
+                case 'ShiftLeft':
+                case 'ShiftRight':
+                    this.sprint = false;
+                    break;
+                case 'KeyC':
+                    this.crouch = false;
+                    break;
+                case 'AltLeft':
+                case 'AltRight':
+                    this.underhand = false;
+                    event.preventDefault();
+                    break;
+                
+                // Release a cooked grenade (even if paused meanwhile, so it isn't left in hand)
+                case 'KeyG':
+                    if (game.gameActive && !game.gameOver) game.player.throwGrenade(this.underhand);
+                    break;
             }
         });
     }
@@ -14,6 +14,7 @@ class Game {
         this.playerEliminations = 0;
         this.shotsHit = 0;
         this.shotsFired = 0;
+        this.headshots = 0;
         
         // Initialize Three.js scene
         this.scene = new THREE.Scene();
@@ -40,7 +41,7 @@ class Game {
         this.world = new World(this.scene);
         
         // Create player
-        this.player = new Player(this.camera, this.scene);
+        this.player = new Player(this.camera, this.scene, this.world.noise);
         
         // Initialize controls
         this.controls = new Controls(this.camera, this.renderer.domElement);
@@ -50,6 +51,8 @@ class Game {
         
         // Initialize UI
         this.ui = new UI(this);
+        this.ui.buildLoadoutMenu(this.player);
+        this.ui.buildDifficultyMenu();
         
         // Initialize event handlers
         this.setupEventListeners();
@@ -106,17 +109,31 @@ class Game {
         // Lock pointer for FPS controls
         this.controls.lock();
         
-        // Reset player position and stats
+        // Reset player position and stats (with the weapons and attachments chosen in the menu)
+        const loadout = this.ui.getLoadoutSelection();
+        this.player.loadout = loadout.weapons;
+        this.player.loadoutAttachments = loadout.attachments;
         this.player.reset();
         
-        // Initialize AI opponents
-        this.aiManager.initializeOpponents(199); // 199 AI players + 1 human player = 200 total
+        // Restart the safe zone
+        this.world.safeZone.reset();
+        
+        // Scatter fresh loot
+        this.world.loot.reset();
+        
+        // Clear smoke and fires left from the last match
+        this.world.clearAreaEffects();
+        this.world.noise.clear();
+        
+        // Initialize AI opponents, mixing the skill tiers ticked in the menu
+        this.aiManager.initializeOpponents(199, this.ui.getDifficultySelection()); // 199 AI players + 1 human player = 200 total
         
         // Reset game stats
         this.playersAlive = 200;
         this.playerEliminations = 0;
         this.shotsHit = 0;
         this.shotsFired = 0;
+        this.headshots = 0;
         
         // Update UI elements
         this.ui.updatePlayersAlive(this.playersAlive);
@@ -143,6 +160,15 @@ class Game {
         }
     }
     
+    /**
+     * Show or hide the noise debug overlay (rings in the world plus a list of recent events)
+     */
+    toggleNoiseDebug() {
+        const visible = !this.world.noise.debugVisible;
+        this.world.noise.setDebugVisible(visible);
+        this.ui.setNoiseDebugVisible(visible);
+    }
+    
     onWindowResize() {
         // Update camera and renderer when window is resized
         this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -163,7 +189,7 @@ class Game {
                 : 0;
             
             // Display game over screen with stats
-            this.ui.showGameOver(playerRank, this.playerEliminations, accuracy);
+            this.ui.showGameOver(playerRank, this.playerEliminations, accuracy, this.headshots);
             
             // Play death sound or animation
             // ...
@@ -192,6 +218,22 @@ class Game {
         this.playersAlive--;
         this.ui.addKillFeed(`Player${attackerId} eliminated Player${victimId}`);
         this.ui.updatePlayersAlive(this.playersAlive);
+        
+        // The bots may finish each other off and leave the player last
+        if (this.playersAlive === 1 && !this.playerDead) {
+            this.playerWon();
+        }
+    }
+    
+    aiEliminatedByZone(victimId) {
+        // AI died outside the safe zone
+        this.playersAlive--;
+        this.ui.addKillFeed(`Player${victimId} was caught outside the zone`);
+        this.ui.updatePlayersAlive(this.playersAlive);
+        
+        if (this.playersAlive === 1 && !this.playerDead) {
+            this.playerWon();
+        }
     }
     
     playerWon() {
@@ -201,7 +243,7 @@ class Game {
             : 0;
         
         // Display victory screen
-        this.ui.showGameOver(1, this.playerEliminations, accuracy);
+        this.ui.showGameOver(1, this.playerEliminations, accuracy, this.headshots);
         
         // End game
         this.gameOver = true;
@@ -213,8 +255,27 @@ class Game {
             // Update player
             this.player.update(deltaTime, this.controls, this.world);
             
+            // Landing too hard can kill
+            if (this.player.landingDamage > 0 && this.player.health <= 0) {
+                this.playerEliminated("Fall Damage");
+            }
+            
             // Update AI manager
-            this.aiManager.update(deltaTime, this.world, this.playersAlive);
+            this.aiManager.update(deltaTime, this.world);
+            
+            // Animate loot on the ground
+            this.world.loot.update(deltaTime);
+            
+            // Shrink the safe zone and hurt anyone caught outside it
+            this.world.safeZone.update(deltaTime);
+            this.applyZoneDamage(deltaTime);
+            
+            // Drift smoke, burn fires and hurt anyone standing in them
+            this.world.updateAreaEffects(deltaTime);
+            this.applyFireDamage(deltaTime);
+            
+            // Let old noises die away
+            this.world.noise.update(deltaTime);
             
             // Check collisions
             this.checkCollisions();
@@ -226,20 +287,191 @@ class Game {
     
     checkCollisions() {
         // Process player projectiles hitting AI
-        this.player.projectiles.forEach((projectile, index) => {
-            const hit = this.aiManager.checkProjectileHit(projectile);
+        for (let i = this.player.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.player.projectiles[i];
+            
+            // Grenades take effect once, when they go off
+            if (projectile instanceof Grenade) {
+                if (projectile.exploded) {
+                    this.applyGrenade(projectile);
+                    this.player.projectiles.splice(i, 1);
+                    projectile.removeFromScene(this.scene);
+                }
+                continue;
+            }
+            
+            // Accuracy is per trigger pull: a round counts once fired, and once if any of its pellets
+            // (or its rocket's blast) hit
+            const round = projectile.round;
+            if (round && !round.counted) {
+                round.counted = true;
+                this.shotsFired++;
+            }
+            
+            // Rockets go off on whatever they touch first, or at the end of their range
+            if (projectile instanceof Rocket) {
+                this.updateRocket(projectile);
+                if (projectile.exploded) {
+                    this.player.projectiles.splice(i, 1);
+                    projectile.removeFromScene(this.scene);
+                }
+                continue;
+            }
+            
+            // Find the first opponent along the round's path, then clip or shoot through only
+            // the cover in front of them
+            const target = this.aiManager.findProjectileTarget(projectile);
+            const targetPoint = target
+                ? projectile.previousPosition.clone().lerp(projectile.getPosition(), target.fraction)
+                : null;
+            const blocked = this.world.checkProjectileCollision(projectile, targetPoint);
+            
+            const hit = target && !blocked ? this.aiManager.checkProjectileHit(projectile, target) : null;
             if (hit) {
-                // Remove projectile
-                this.player.projectiles.splice(index, 1);
-                projectile.removeFromScene(this.scene);
+                const headshot = hit.zone === 'head';
                 
                 // Track hit for accuracy
-                this.shotsHit++;
+                if (!round || !round.hit) {
+                    this.shotsHit++;
+                    if (round) round.hit = true;
+                }
+                if (headshot && (!round || !round.headshot)) {
+                    this.headshots++;
+                    if (round) round.headshot = true;
+                }
+                this.ui.showHitMarker(headshot);
             }
+            
+            // Remove projectile once it has hit something or run out of range
+            if (projectile.spent || projectile.lifetime <= 0) {
+                this.player.projectiles.splice(i, 1);
+                projectile.removeFromScene(this.scene);
+            }
+        }
+    }
+    
+    /**
+     * Pick up the closest loot item in reach of the player
+     */
+    pickupLoot() {
+        const loot = this.world.loot;
+        const item = loot.findNearest(this.player.getPosition(), loot.pickupRange);
+        if (!item) return;
+        
+        if (!loot.pickup(item, this.player)) return;
+        
+        // Swapped weapons and attachments are left where the new item was
+        this.player.pendingDrops.forEach(definition => {
+            loot.spawnItem({ rarity: 'common', definition: definition }, item.position);
         });
+        this.player.pendingDrops = [];
+    }
+    
+    /**
+     * Damage the player and opponents standing outside the safe zone (the zone ignores armor)
+     */
+    applyZoneDamage(deltaTime) {
+        const zone = this.world.safeZone;
+        const damage = zone.getDamagePerSecond() * deltaTime;
         
-        // Process AI projectiles hitting player
-        this.aiManager.checkProjectileHitPlayer(this.player);
+        if (!zone.isInside(this.player.getPosition())) {
+            this.player.takeDamage(damage, 'body', { ignoreArmor: true });
+            
+            if (this.player.health <= 0) {
+                this.playerEliminated("The Zone");
+            }
+        }
+        
+        this.aiManager.applyZoneDamage(zone, damage);
+    }
+    
+    /**
+     * Hurt anyone standing in a fire (burns ignore armor; kills are credited to the player who threw it)
+     */
+    applyFireDamage(deltaTime) {
+        const fires = this.world.getFiresAt(this.player.getPosition());
+        if (fires.length > 0) {
+            this.player.takeDamage(fires[0].getDamagePerSecond() * deltaTime, 'body', { ignoreArmor: true });
+            
+            if (this.player.health <= 0) {
+                this.playerEliminated("Fire");
+            }
+        }
+        
+        this.aiManager.applyFireDamage(this.world, deltaTime);
+    }
+    
+    /**
+     * Resolve a player-thrown grenade going off: blast damage, flash and any lingering area
+     */
+    applyGrenade(grenade) {
+        this.applyExplosion(grenade);
+        
+        if (grenade instanceof FlashGrenade) {
+            const strength = grenade.getFlashAt(this.player.getPosition(), this.player.getDirection(), this.world);
+            if (strength > 0) {
+                this.ui.showFlash(strength, grenade.blindDuration * strength);
+            }
+            this.aiManager.applyFlash(grenade, this.world);
+        }
+        
+        const effect = grenade.createAreaEffect();
+        if (effect) {
+            this.world.addAreaEffect(effect);
+        }
+    }
+    
+    /**
+     * Apply a player-thrown explosive's damage to opponents and the player
+     * @returns {number} Number of opponents hurt
+     */
+    applyExplosion(explosive) {
+        // Bots hear it go off from well beyond the blast
+        this.world.noise.emit('explosion', explosive.getPosition(), explosive.soundRadius, this.player);
+        
+        // Opponents caught in the blast (eliminations are credited to the player)
+        const hits = this.aiManager.applyExplosionDamage(explosive, this.world);
+        
+        // The player is not immune to their own grenades and rockets
+        const center = this.player.getHitBox().position;
+        const damage = explosive.getDamageAt(center, this.world);
+        if (damage > 0) {
+            this.player.takeDamage(damage);
+            
+            if (explosive.knockback) {
+                this.player.applyKnockback(explosive.getKnockbackAt(center, this.world));
+            }
+            
+            if (this.player.health <= 0) {
+                this.playerEliminated(explosive instanceof Rocket ? "Rocket" : "Grenade");
+            }
+        }
+        
+        return hits;
+    }
+    
+    /**
+     * Stop a rocket at the first obstacle, ground or opponent on its path and set it off
+     */
+    updateRocket(rocket) {
+        this.world.checkProjectileCollision(rocket);
+        
+        // An opponent in front of the impact point catches it first
+        const target = this.aiManager.findProjectileTarget(rocket);
+        if (target) {
+            rocket.stopAt(rocket.previousPosition.clone().lerp(rocket.getPosition(), target.fraction));
+        }
+        
+        if (rocket.spent || rocket.lifetime <= 0) {
+            rocket.explode();
+            
+            // A blast that catches an opponent counts as a hit for accuracy
+            const hits = this.applyExplosion(rocket);
+            if (hits > 0 && rocket.round && !rocket.round.hit) {
+                rocket.round.hit = true;
+                this.shotsHit++;
+            }
+        }
     }
     
     animate() {
@@ -255,7 +487,28 @@ class Game {
     }
 }
 
-// Initialize game when window loads
+/**
+ * Show why the game couldn't start in the start menu, and keep it from being started
+ */
+function showStartupError(message) {
+    // Browsers don't let a page opened from disk fetch the definition files
+    if (window.location.protocol === 'file:') {
+        message += ' (the game must be served over http, e.g. run "python3 -m http.server" in its folder and open http://localhost:8000)';
+    }
+    
+    const error = document.getElementById('startup-error');
+    error.textContent = `Failed to start: ${message}`;
+    error.classList.remove('hidden');
+    document.getElementById('start-button').disabled = true;
+}
+
+// Initialize game when window loads (attachment and weapon definitions must be registered first,
+// attachments before weapons since weapons list their default attachments)
 window.addEventListener('load', () => {
-    const game = new Game();
+    loadAttachmentDefinitions('attachments.json')
+        .then(() => loadWeaponDefinitions('weapons.json'))
+        .then(() => {
+            const game = new Game();
+        })
+        .catch(error => showStartupError(error.message));
 });
@@ -0,0 +1,593 @@
+/**
+ * Grenade types thrown by the player, and the lingering areas some of them leave behind
+ */
+
+/**
+ * Base class for grenades: cooked in the thrower's hand, thrown from the camera, bounces around
+ * and goes off when its fuse runs out. Subclasses decide what happens when it goes off
+ */
+class Grenade {
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.type = null; // Key in GRENADE_TYPES
+        
+        // Throw settings: overhand goes far, underhand is a short lob
+        this.throwSpeed = 15;
+        this.throwLift = 0.2; // Added to the aim direction's height before normalizing
+        this.underhandSpeed = 7;
+        this.underhandLift = 0.1;
+        
+        // Create grenade mesh
+        const geometry = new THREE.SphereGeometry(0.1, 8, 8);
+        const material = new THREE.MeshBasicMaterial({ color: this.getColor() });
+        this.mesh = new THREE.Mesh(geometry, material);
+        
+        // Held with the pin pulled until launched; the fuse is already burning
+        this.isHeld = true;
+        this.velocity = new THREE.Vector3();
+        this.mesh.position.copy(this.getLaunch(false).position);
+        
+        // Properties
+        this.damage = 0;
+        this.radius = 5;
+        this.soundRadius = 60; // How far away it can be heard going off
+        this.lifetime = 3.0; // 3 seconds until explosion
+        this.exploded = false;
+        
+        // Physics
+        this.size = 0.1; // Radius of the grenade itself
+        this.gravity = 9.8;
+        this.restitution = 0.4; // Fraction of speed kept off a surface when bouncing
+        this.bounceFriction = 0.3; // Fraction of sliding speed lost per bounce
+        this.rollingFriction = 2.0; // Speed lost per second while rolling
+        
+        // Add to scene
+        scene.add(this.mesh);
+    }
+    
+    /**
+     * Colour of the grenade body, so types can be told apart in flight
+     */
+    getColor() {
+        return 0x333333;
+    }
+    
+    /**
+     * Where a throw from the camera right now would start, and how fast it would go
+     * @returns {Object} { position, velocity }
+     */
+    getLaunch(underhand) {
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        
+        // Leave the hand just in front of the camera
+        const position = this.camera.position.clone().add(direction.clone().multiplyScalar(0.5));
+        
+        const velocity = direction.clone();
+        velocity.y += underhand ? this.underhandLift : this.throwLift;
+        velocity.normalize().multiplyScalar(underhand ? this.underhandSpeed : this.throwSpeed);
+        
+        return { position: position, velocity: velocity };
+    }
+    
+    /**
+     * Let go of the grenade, keeping whatever fuse is left from cooking
+     */
+    launch(underhand = false) {
+        const launch = this.getLaunch(underhand);
+        this.mesh.position.copy(launch.position);
+        this.velocity.copy(launch.velocity);
+        this.isHeld = false;
+    }
+    
+    /**
+     * Predict where a throw would go, using the same physics as update
+     * @returns {THREE.Vector3[]} Positions along the arc, ending where the fuse runs out or it comes to rest
+     */
+    predictPath(underhand, world, timeStep = 1 / 60) {
+        const launch = this.getLaunch(underhand);
+        const position = launch.position;
+        const velocity = launch.velocity;
+        const points = [position.clone()];
+        
+        for (let time = 0; time < this.lifetime; time += timeStep) {
+            stepGrenadePhysics(position, velocity, timeStep, world, this);
+            points.push(position.clone());
+            
+            if (velocity.lengthSq() < 0.01) break;
+        }
+        
+        return points;
+    }
+    
+    /**
+     * Update grenade position and check for explosion
+     */
+    update(deltaTime, world) {
+        if (this.exploded) return false;
+        
+        if (this.isHeld) {
+            // Cooking: stay in hand (and go off there if held too long)
+            this.mesh.position.copy(this.getLaunch(false).position);
+        } else {
+            // Fall, bouncing off the ground and obstacles
+            stepGrenadePhysics(this.mesh.position, this.velocity, deltaTime, world, this);
+        }
+        
+        // Update lifetime
+        this.lifetime -= deltaTime;
+        
+        // Check if it's time to explode
+        if (this.lifetime <= 0) {
+            this.explode();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Handle grenade explosion
+     */
+    explode() {
+        if (this.exploded) return;
+        
+        this.exploded = true;
+        
+        // Type-specific effect
+        this.detonate();
+        
+        // Remove grenade mesh
+        this.removeFromScene(this.scene);
+    }
+    
+    /**
+     * Show the grenade going off (overridden per type)
+     */
+    detonate() {}
+    
+    /**
+     * Create the lingering area this grenade leaves behind, if any (added to the World by Game)
+     * @returns {SmokeCloud|FireArea|null}
+     */
+    createAreaEffect() {
+        return null;
+    }
+    
+    /**
+     * Check if point is within explosion radius
+     */
+    isInExplosionRadius(point) {
+        if (!this.exploded) return false;
+        
+        const distance = point.distanceTo(this.mesh.position);
+        return distance <= this.radius;
+    }
+    
+    /**
+     * Calculate damage based on distance from explosion (zero for types that don't deal blast damage)
+     * If a world is given, obstacles between the blast and the point block all damage
+     */
+    getDamageAt(point, world) {
+        if (!this.exploded || this.damage <= 0) return 0;
+        
+        return getBlastDamage(this.mesh.position, this.radius, this.damage, point, world);
+    }
+    
+    /**
+     * Get current position
+     */
+    getPosition() {
+        return this.mesh.position.clone();
+    }
+    
+    /**
+     * Remove grenade from scene
+     */
+    removeFromScene(scene) {
+        scene.remove(this.mesh);
+    }
+}
+
+/**
+ * Advance a grenade one step: gravity, then a sweep along its velocity, bouncing off whatever it hits
+ * Shared by thrown grenades and the trajectory preview so the two always agree
+ * @param {THREE.Vector3} position Updated in place
+ * @param {THREE.Vector3} velocity Updated in place
+ * @param {Object} physics size, gravity, restitution, bounceFriction and rollingFriction (a Grenade)
+ */
+function stepGrenadePhysics(position, velocity, deltaTime, world, physics) {
+    velocity.y -= physics.gravity * deltaTime;
+    
+    const start = position.clone();
+    const end = start.clone().add(velocity.clone().multiplyScalar(deltaTime));
+    
+    // Treat the grenade as a point lifted by its own radius, so it rests on top of surfaces
+    start.y -= physics.size;
+    end.y -= physics.size;
+    
+    const hit = world.raycast(start, end);
+    if (!hit) {
+        end.y += physics.size;
+        position.copy(end);
+        return;
+    }
+    
+    // Split velocity into the part into the surface and the part along it
+    const normal = hit.normal;
+    const intoSurface = normal.clone().multiplyScalar(velocity.dot(normal));
+    const alongSurface = velocity.clone().sub(intoSurface);
+    
+    // Bounce: reverse and damp the normal part, slow the sliding part
+    velocity.copy(alongSurface.multiplyScalar(1 - physics.bounceFriction))
+        .sub(intoSurface.multiplyScalar(physics.restitution));
+    
+    // Settle on floors once the bounce is too small to matter, then roll
+    if (normal.y > 0.7 && Math.abs(velocity.y) < 1.0) {
+        velocity.y = 0;
+        
+        const rollFactor = Math.max(0, 1 - physics.rollingFriction * deltaTime);
+        velocity.x *= rollFactor;
+        velocity.z *= rollFactor;
+    }
+    
+    // Place the grenade just off the surface it hit
+    position.copy(hit.point).add(normal.clone().multiplyScalar(0.01));
+    position.y += physics.size;
+}
+
+/**
+ * Fragmentation grenade: blast damage falling off with distance
+ */
+class FragGrenade extends Grenade {
+    constructor(scene, camera) {
+        super(scene, camera);
+        this.type = 'frag';
+        this.damage = 100;
+        this.radius = 5;
+        this.soundRadius = 90;
+    }
+    
+    detonate() {
+        createExplosionFlash(this.scene, this.mesh.position, this.radius);
+    }
+}
+
+/**
+ * Smoke grenade: leaves a cloud that hides everything behind it
+ */
+class SmokeGrenade extends Grenade {
+    constructor(scene, camera) {
+        super(scene, camera);
+        this.type = 'smoke';
+        this.radius = 6;
+        this.soundRadius = 20; // Just a pop and a hiss
+        this.lifetime = 2.0;
+        this.smokeDuration = 15; // seconds
+    }
+    
+    getColor() {
+        return 0x88aa88;
+    }
+    
+    createAreaEffect() {
+        return new SmokeCloud(this.scene, this.mesh.position, this.radius, this.smokeDuration);
+    }
+}
+
+/**
+ * Flashbang: blinds anyone looking towards it with a clear line of sight
+ */
+class FlashGrenade extends Grenade {
+    constructor(scene, camera) {
+        super(scene, camera);
+        this.type = 'flash';
+        this.radius = 20; // Flash is ineffective beyond this
+        this.soundRadius = 80;
+        this.lifetime = 1.5;
+        this.blindDuration = 4; // seconds at full strength
+    }
+    
+    getColor() {
+        return 0xdddddd;
+    }
+    
+    detonate() {
+        // Brief white light instead of an orange fireball
+        const light = new THREE.PointLight(0xffffff, 4, this.radius);
+        light.position.copy(this.mesh.position);
+        this.scene.add(light);
+        setTimeout(() => this.scene.remove(light), 100);
+    }
+    
+    /**
+     * How strongly someone at a point looking in a direction is flashed
+     * @returns {number} 0 (unaffected) to 1 (looking straight at it up close)
+     */
+    getFlashAt(point, direction, world) {
+        if (!this.exploded) return 0;
+        
+        const toFlash = this.mesh.position.clone().sub(point);
+        const distance = toFlash.length();
+        if (distance > this.radius) return 0;
+        
+        // Walls shield it completely (smoke doesn't)
+        if (world && !world.isLineOfSightClear(point, this.mesh.position)) return 0;
+        
+        // Facing away still gets a little of it up close; facing it gets the full effect
+        const facing = distance > 0.01 ? direction.clone().normalize().dot(toFlash.normalize()) : 1;
+        const facingFactor = facing > 0.5 ? 1 : (facing > 0 ? 0.5 : 0.15);
+        
+        return (1 - distance / this.radius) * facingFactor;
+    }
+}
+
+/**
+ * Incendiary grenade: sets the ground alight, hurting anyone standing in the fire
+ */
+class IncendiaryGrenade extends Grenade {
+    constructor(scene, camera) {
+        super(scene, camera);
+        this.type = 'incendiary';
+        this.radius = 4;
+        this.soundRadius = 40;
+        this.lifetime = 2.0;
+        this.fireDuration = 8; // seconds
+        this.fireDamagePerSecond = 15;
+    }
+    
+    getColor() {
+        return 0xaa3311;
+    }
+    
+    detonate() {
+        createExplosionFlash(this.scene, this.mesh.position, this.radius);
+    }
+    
+    createAreaEffect() {
+        // The fire spreads on the surface the grenade landed on
+        const ground = this.mesh.position.clone();
+        ground.y -= this.size;
+        return new FireArea(this.scene, ground, this.radius, this.fireDuration, this.fireDamagePerSecond);
+    }
+}
+
+// Grenade types in the order the cycle key goes through them
+const GRENADE_TYPES = {
+    frag: { name: 'Frag', grenadeClass: FragGrenade },
+    smoke: { name: 'Smoke', grenadeClass: SmokeGrenade },
+    flash: { name: 'Flashbang', grenadeClass: FlashGrenade },
+    incendiary: { name: 'Incendiary', grenadeClass: IncendiaryGrenade }
+};
+
+/**
+ * Throw a grenade of the given type from the camera
+ */
+function createGrenade(type, scene, camera) {
+    const definition = GRENADE_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown grenade type "${type}"`);
+    }
+    return new definition.grenadeClass(scene, camera);
+}
+
+/**
+ * Predicted arc and landing marker shown while a grenade is cooking
+ */
+class GrenadeTrajectory {
+    constructor(scene, maxPoints = 240) {
+        this.scene = scene;
+        this.maxPoints = maxPoints;
+        
+        // Arc: a line strip over a fixed buffer, drawing only the points in use
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxPoints * 3), 3));
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 });
+        this.line = new THREE.Line(geometry, lineMaterial);
+        this.line.frustumCulled = false; // Bounds go stale as the buffer is rewritten
+        
+        // Marker where the grenade ends up
+        const markerGeometry = new THREE.RingGeometry(0.25, 0.4, 24);
+        const markerMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+        this.marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        this.marker.rotation.x = -Math.PI / 2;
+        
+        this.hide();
+        scene.add(this.line);
+        scene.add(this.marker);
+    }
+    
+    /**
+     * Draw the arc through the given points, with the marker at the last one
+     */
+    show(points) {
+        const count = Math.min(points.length, this.maxPoints);
+        const positions = this.line.geometry.attributes.position;
+        for (let i = 0; i < count; i++) {
+            positions.setXYZ(i, points[i].x, points[i].y, points[i].z);
+        }
+        positions.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, count);
+        
+        const end = points[count - 1];
+        this.marker.position.set(end.x, end.y + 0.02, end.z);
+        
+        this.line.visible = true;
+        this.marker.visible = true;
+    }
+    
+    /**
+     * Hide the arc and marker
+     */
+    hide() {
+        this.line.visible = false;
+        this.marker.visible = false;
+    }
+    
+    /**
+     * Remove from scene
+     */
+    removeFromScene(scene) {
+        scene.remove(this.line);
+        scene.remove(this.marker);
+    }
+}
+
+/**
+ * A cloud of smoke that blocks sight lines (for rendering and for AI)
+ */
+class SmokeCloud {
+    constructor(scene, position, radius, duration) {
+        this.scene = scene;
+        this.position = position.clone();
+        this.position.y = Math.max(this.position.y, radius * 0.5); // Sit the cloud on the ground
+        this.maxRadius = radius;
+        this.duration = duration;
+        this.age = 0;
+        
+        // Timing: billow out, hang, then thin out
+        this.growTime = 1.5;
+        this.fadeTime = 3.0;
+        
+        // A few overlapping puffs look more like smoke than one ball
+        this.mesh = new THREE.Group();
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xbbbbbb,
+            transparent: true,
+            opacity: 0.95,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        for (let i = 0; i < 6; i++) {
+            const puff = new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), this.material);
+            const offset = i === 0 ? new THREE.Vector3() : randomPointOnCircle(0.35);
+            puff.position.set(offset.x, (Math.random() - 0.5) * 0.3, offset.z);
+            puff.scale.setScalar(i === 0 ? 1 : 0.7);
+            this.mesh.add(puff);
+        }
+        this.mesh.position.copy(this.position);
+        scene.add(this.mesh);
+        
+        this.update(0);
+    }
+    
+    /**
+     * Grow and fade the cloud
+     * @returns {boolean} False once it has cleared
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        
+        const grow = clamp(this.age / this.growTime, 0.05, 1);
+        const fade = clamp((this.duration - this.age) / this.fadeTime, 0, 1);
+        
+        this.radius = this.maxRadius * grow;
+        this.mesh.scale.setScalar(this.radius);
+        this.material.opacity = 0.95 * fade;
+        
+        return this.age < this.duration;
+    }
+    
+    /**
+     * Check if the cloud is thick enough to hide the segment start -> end
+     */
+    blocksLine(start, end) {
+        // Thinning smoke stops hiding things before it's fully gone
+        if (this.material.opacity < 0.4) return false;
+        
+        // Closest point on the segment to the cloud's centre
+        const segment = end.clone().sub(start);
+        const lengthSq = segment.lengthSq();
+        const t = lengthSq > 0 ? clamp(this.position.clone().sub(start).dot(segment) / lengthSq, 0, 1) : 0;
+        const closest = start.clone().addScaledVector(segment, t);
+        
+        return closest.distanceTo(this.position) < this.radius * 0.9;
+    }
+    
+    /**
+     * Remove cloud from scene
+     */
+    removeFromScene(scene) {
+        scene.remove(this.mesh);
+    }
+}
+
+/**
+ * A burning patch of ground that damages anyone standing in it
+ */
+class FireArea {
+    constructor(scene, position, radius, duration, damagePerSecond) {
+        this.scene = scene;
+        this.position = position.clone();
+        this.radius = radius;
+        this.duration = duration;
+        this.damagePerSecond = damagePerSecond;
+        this.age = 0;
+        this.height = 2.5; // Flames reach up to about head height
+        
+        // Flat glowing disc just above the surface
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xff5511,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Mesh(new THREE.CircleGeometry(radius, 24), this.material);
+        this.mesh.rotation.x = -Math.PI / 2;
+        this.mesh.position.copy(this.position);
+        this.mesh.position.y += 0.05;
+        scene.add(this.mesh);
+        
+        // Fire light
+        this.light = new THREE.PointLight(0xff6622, 1.5, radius * 3);
+        this.light.position.copy(this.position);
+        this.light.position.y += 1;
+        scene.add(this.light);
+    }
+    
+    /**
+     * Flicker and burn out
+     * @returns {boolean} False once the fire is out
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        
+        const flicker = 0.8 + Math.random() * 0.2;
+        const fade = clamp((this.duration - this.age) / 1.0, 0, 1);
+        this.material.opacity = 0.7 * flicker * fade;
+        this.light.intensity = 1.5 * flicker * fade;
+        
+        return this.age < this.duration;
+    }
+    
+    /**
+     * Check if a position (feet to eyes) is in the flames
+     */
+    isInside(position) {
+        const dx = position.x - this.position.x;
+        const dz = position.z - this.position.z;
+        const dy = position.y - this.position.y;
+        return dx * dx + dz * dz <= this.radius * this.radius && dy >= -0.5 && dy <= this.height;
+    }
+    
+    /**
+     * Damage per second to anyone inside
+     */
+    getDamagePerSecond() {
+        return this.damagePerSecond;
+    }
+    
+    /**
+     * Remove fire from scene
+     */
+    removeFromScene(scene) {
+        scene.remove(this.mesh);
+        scene.remove(this.light);
+    }
+}
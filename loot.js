@@ -0,0 +1,329 @@
+/**
+ * Loot manager that spawns items around the map and handles pickups
+ */
+class LootManager {
+    constructor(scene, world) {
+        this.scene = scene;
+        this.world = world;
+        
+        // Loot tables per rarity: weight is the chance of rolling that rarity,
+        // items are picked evenly from its pool
+        this.lootTables = {
+            common: {
+                weight: 60,
+                color: 0xbbbbbb,
+                items: [
+                    { type: 'ammo', magazines: 1 },
+                    { type: 'medkit', amount: 1 },
+                    { type: 'grenade', grenade: 'frag', amount: 1 },
+                    { type: 'grenade', grenade: 'smoke', amount: 1 },
+                    { type: 'weapon', weapon: 'pistol' },
+                    { type: 'weapon', weapon: 'smg' }
+                ]
+            },
+            uncommon: {
+                weight: 25,
+                color: 0x33cc33,
+                items: [
+                    { type: 'ammo', magazines: 2 },
+                    { type: 'armor', slot: 'vest', tier: 1 },
+                    { type: 'armor', slot: 'helmet', tier: 1 },
+                    { type: 'medkit', amount: 2 },
+                    { type: 'weapon', weapon: 'rifle' },
+                    { type: 'weapon', weapon: 'shotgun' },
+                    { type: 'weapon', weapon: 'smg' },
+                    { type: 'attachment', attachment: 'redDot' },
+                    { type: 'attachment', attachment: 'grip' }
+                ]
+            },
+            rare: {
+                weight: 12,
+                color: 0x3399ff,
+                items: [
+                    { type: 'armor', slot: 'vest', tier: 2 },
+                    { type: 'armor', slot: 'helmet', tier: 2 },
+                    { type: 'grenade', grenade: 'frag', amount: 2 },
+                    { type: 'grenade', grenade: 'flash', amount: 1 },
+                    { type: 'grenade', grenade: 'incendiary', amount: 1 },
+                    { type: 'weapon', weapon: 'shotgun' },
+                    { type: 'weapon', weapon: 'sniper' },
+                    { type: 'attachment', attachment: 'extendedMag' },
+                    { type: 'attachment', attachment: 'suppressor' }
+                ]
+            },
+            epic: {
+                weight: 3,
+                color: 0xaa33ff,
+                items: [
+                    { type: 'armor', slot: 'vest', tier: 3 },
+                    { type: 'armor', slot: 'helmet', tier: 3 },
+                    { type: 'medkit', amount: 3 },
+                    { type: 'weapon', weapon: 'sniper' },
+                    { type: 'weapon', weapon: 'launcher' },
+                    { type: 'attachment', attachment: 'scope4x' }
+                ]
+            }
+        };
+        
+        // Spawn settings
+        this.spawnsPerBuilding = 3;
+        this.barrierSpawnChance = 0.3;
+        this.pickupRange = 2.0;
+        
+        // Items on the ground
+        this.items = [];
+        this.itemIndex = new SpatialHash(10);
+    }
+    
+    /**
+     * Remove all loot and scatter a fresh set around the map
+     */
+    reset() {
+        this.clear();
+        this.spawnLoot();
+    }
+    
+    /**
+     * Remove all loot from the scene
+     */
+    clear() {
+        this.items.forEach(item => item.removeFromScene(this.scene));
+        this.items = [];
+        this.itemIndex.clear();
+    }
+    
+    /**
+     * Place loot at spawn points next to buildings and some barriers
+     */
+    spawnLoot() {
+        this.world.obstacles.forEach(obstacle => {
+            let count = 0;
+            if (obstacle.kind === 'building') {
+                count = this.spawnsPerBuilding;
+            } else if (obstacle.kind === 'barrier' && Math.random() < this.barrierSpawnChance) {
+                count = 1;
+            }
+            
+            for (let i = 0; i < count; i++) {
+                const position = this.findSpawnPoint(obstacle);
+                if (position) {
+                    this.spawnItem(this.rollItem(), position);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Find a free spot on the ground just outside one of an obstacle's walls
+     */
+    findSpawnPoint(obstacle) {
+        const margin = 1.5;
+        
+        for (let attempts = 0; attempts < 5; attempts++) {
+            // Pick a side, then a spot along it
+            const side = randomInt(0, 3);
+            const along = Math.random() - 0.5;
+            let x = obstacle.position.x;
+            let z = obstacle.position.z;
+            
+            if (side < 2) {
+                x += along * obstacle.width;
+                z += (side === 0 ? 1 : -1) * (obstacle.depth / 2 + margin);
+            } else {
+                x += (side === 2 ? 1 : -1) * (obstacle.width / 2 + margin);
+                z += along * obstacle.depth;
+            }
+            
+            const position = new THREE.Vector3(x, 0.3, z);
+            const halfSize = this.world.worldSize / 2 - margin;
+            if (Math.abs(x) < halfSize && Math.abs(z) < halfSize && this.world.isPositionValid(position, 0.3)) {
+                return position;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Roll a rarity by weight, then an item from that rarity's pool
+     * @returns {Object} { rarity, definition }
+     */
+    rollItem() {
+        const rarities = Object.keys(this.lootTables);
+        const totalWeight = rarities.reduce((sum, rarity) => sum + this.lootTables[rarity].weight, 0);
+        
+        let roll = Math.random() * totalWeight;
+        let rarity = rarities[rarities.length - 1];
+        for (const candidate of rarities) {
+            roll -= this.lootTables[candidate].weight;
+            if (roll < 0) {
+                rarity = candidate;
+                break;
+            }
+        }
+        
+        const pool = this.lootTables[rarity].items;
+        return { rarity: rarity, definition: pool[randomInt(0, pool.length - 1)] };
+    }
+    
+    /**
+     * Create a loot item in the world
+     */
+    spawnItem(roll, position) {
+        const color = this.lootTables[roll.rarity].color;
+        const item = new LootItem(this.scene, roll.definition, roll.rarity, color, position);
+        
+        this.items.push(item);
+        this.itemIndex.insertPoint(item, item.position);
+        return item;
+    }
+    
+    /**
+     * Remove a picked up item
+     */
+    removeItem(item) {
+        const index = this.items.indexOf(item);
+        if (index === -1) return;
+        
+        this.items.splice(index, 1);
+        item.removeFromScene(this.scene);
+        
+        // Rebuild the index (pickups are rare compared to queries)
+        this.itemIndex.clear();
+        this.items.forEach(remaining => this.itemIndex.insertPoint(remaining, remaining.position));
+    }
+    
+    /**
+     * Find the closest item within range, optionally filtered
+     */
+    findNearest(position, range, filter) {
+        let nearest = null;
+        let nearestDistance = range;
+        
+        for (const item of this.itemIndex.queryRadius(position, range)) {
+            if (filter && !filter(item)) continue;
+            
+            // Compare on the ground plane so eye height doesn't matter
+            const dx = item.position.x - position.x;
+            const dz = item.position.z - position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance <= nearestDistance) {
+                nearest = item;
+                nearestDistance = distance;
+            }
+        }
+        
+        return nearest;
+    }
+    
+    /**
+     * Let an entity (Player or AiOpponent) pick up an item
+     * @returns {boolean} True if the item was taken
+     */
+    pickup(item, entity) {
+        if (!entity.collectLoot(item)) return false;
+        
+        this.removeItem(item);
+        return true;
+    }
+    
+    /**
+     * Animate items on the ground
+     */
+    update(deltaTime) {
+        this.items.forEach(item => item.update(deltaTime));
+    }
+}
+
+/**
+ * A single item lying on the ground
+ */
+class LootItem {
+    constructor(scene, definition, rarity, color, position) {
+        // Item properties (type plus amount, magazines, weapon, attachment, armor slot and tier, or grenade type)
+        this.type = definition.type;
+        this.definition = definition;
+        this.rarity = rarity;
+        this.position = position.clone();
+        
+        // Animation state
+        this.time = Math.random() * Math.PI * 2;
+        
+        // Create item mesh
+        this.createModel(color);
+        scene.add(this.model);
+    }
+    
+    /**
+     * Create a simple shape per item type, coloured by rarity
+     */
+    createModel(color) {
+        let geometry;
+        switch (this.type) {
+            case 'ammo':
+                geometry = new THREE.BoxGeometry(0.4, 0.25, 0.3);
+                break;
+            case 'armor':
+                geometry = this.definition.slot === 'helmet'
+                    ? new THREE.SphereGeometry(0.25, 10, 6, 0, Math.PI * 2, 0, Math.PI / 2)
+                    : new THREE.BoxGeometry(0.5, 0.6, 0.2);
+                break;
+            case 'medkit':
+                geometry = new THREE.BoxGeometry(0.4, 0.3, 0.4);
+                break;
+            case 'grenade':
+                geometry = new THREE.SphereGeometry(0.15, 8, 8);
+                break;
+            case 'weapon':
+                geometry = new THREE.BoxGeometry(0.15, 0.2, 0.9);
+                break;
+            case 'attachment':
+                geometry = new THREE.CylinderGeometry(0.08, 0.08, 0.3, 8);
+                break;
+            default:
+                geometry = new THREE.BoxGeometry(0.3, 0.3, 0.3);
+        }
+        
+        const material = new THREE.MeshBasicMaterial({ color: color });
+        this.model = new THREE.Mesh(geometry, material);
+        this.model.position.copy(this.position);
+    }
+    
+    /**
+     * Bob and spin so loot stands out
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        this.model.rotation.y += deltaTime;
+        this.model.position.y = this.position.y + Math.sin(this.time * 2) * 0.1;
+    }
+    
+    /**
+     * Get a short name for pickup prompts
+     */
+    getLabel() {
+        switch (this.type) {
+            case 'ammo':
+                return `Ammo x${this.definition.magazines}`;
+            case 'armor':
+                return getArmorTier(this.definition.slot, this.definition.tier).name;
+            case 'medkit':
+                return `Medkit x${this.definition.amount}`;
+            case 'grenade':
+                return `${GRENADE_TYPES[this.definition.grenade].name} x${this.definition.amount}`;
+            case 'weapon':
+                return getWeaponDefinition(this.definition.weapon).name;
+            case 'attachment':
+                return getAttachmentDefinition(this.definition.attachment).name;
+            default:
+                return this.type;
+        }
+    }
+    
+    /**
+     * Remove item from scene
+     */
+    removeFromScene(scene) {
+        scene.remove(this.model);
+    }
+}
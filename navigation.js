@@ -0,0 +1,372 @@
+/**
+ * Walkable grid baked from World obstacles, with A* path queries for AI movement
+ */
+class NavigationGrid {
+    constructor(world, cellSize = 2, agentRadius = 0.5) {
+        this.world = world;
+        
+        // Grid parameters
+        this.cellSize = cellSize;
+        this.agentRadius = agentRadius; // Obstacles are grown by this much so agents don't clip corners
+        this.agentHeight = 2.0; // Obstacles starting above this are walked under
+        this.maxSearchNodes = 3000; // Give up and return the best partial path after this many expansions
+        
+        this.size = Math.ceil(world.worldSize / cellSize);
+        this.origin = -world.worldSize / 2;
+        
+        // One byte per cell: 1 = walkable, 0 = blocked
+        this.walkable = new Uint8Array(this.size * this.size);
+        
+        // Search scratch space, reused between queries (searchId marks which cells are current)
+        this.gScore = new Float32Array(this.size * this.size);
+        this.cameFrom = new Int32Array(this.size * this.size);
+        this.closed = new Uint32Array(this.size * this.size);
+        this.visited = new Uint32Array(this.size * this.size);
+        this.searchId = 0;
+        
+        // World obstacle version the grid was last built from
+        this.builtVersion = -1;
+        
+        this.build();
+    }
+    
+    /**
+     * Rasterize world obstacles into the grid
+     */
+    build() {
+        this.walkable.fill(1);
+        
+        for (const obstacle of this.world.obstacles) {
+            if (obstacle.type !== 'box') continue;
+            
+            // Skip anything high enough to walk under
+            if (obstacle.position.y - obstacle.height / 2 > this.agentHeight) continue;
+            
+            // Block every cell whose centre falls inside the grown footprint
+            const minCell = this.worldToCell(
+                obstacle.position.x - obstacle.width / 2 - this.agentRadius,
+                obstacle.position.z - obstacle.depth / 2 - this.agentRadius
+            );
+            const maxCell = this.worldToCell(
+                obstacle.position.x + obstacle.width / 2 + this.agentRadius,
+                obstacle.position.z + obstacle.depth / 2 + this.agentRadius
+            );
+            
+            for (let cz = minCell.z; cz <= maxCell.z; cz++) {
+                for (let cx = minCell.x; cx <= maxCell.x; cx++) {
+                    const center = this.cellToWorld(cx, cz);
+                    if (Math.abs(center.x - obstacle.position.x) <= obstacle.width / 2 + this.agentRadius &&
+                        Math.abs(center.z - obstacle.position.z) <= obstacle.depth / 2 + this.agentRadius) {
+                        this.walkable[cz * this.size + cx] = 0;
+                    }
+                }
+            }
+        }
+        
+        this.builtVersion = this.world.obstacleVersion;
+    }
+    
+    /**
+     * Rebuild if the world's obstacles have changed since the last build
+     */
+    ensureUpToDate() {
+        if (this.builtVersion !== this.world.obstacleVersion) {
+            this.build();
+        }
+    }
+    
+    /**
+     * Convert a world position to (clamped) cell coordinates
+     */
+    worldToCell(x, z) {
+        return {
+            x: clamp(Math.floor((x - this.origin) / this.cellSize), 0, this.size - 1),
+            z: clamp(Math.floor((z - this.origin) / this.cellSize), 0, this.size - 1)
+        };
+    }
+    
+    /**
+     * Get the world position of a cell's centre
+     */
+    cellToWorld(cx, cz) {
+        return {
+            x: this.origin + (cx + 0.5) * this.cellSize,
+            z: this.origin + (cz + 0.5) * this.cellSize
+        };
+    }
+    
+    /**
+     * Check if a cell is inside the grid and walkable
+     */
+    isWalkableCell(cx, cz) {
+        if (cx < 0 || cz < 0 || cx >= this.size || cz >= this.size) return false;
+        return this.walkable[cz * this.size + cx] === 1;
+    }
+    
+    /**
+     * Check if a world position is on a walkable cell
+     */
+    isWalkable(position) {
+        const cell = this.worldToCell(position.x, position.z);
+        return this.isWalkableCell(cell.x, cell.z);
+    }
+    
+    /**
+     * Find the walkable cell closest to a position (searching outwards ring by ring)
+     * @returns {Object|null} Cell coordinates, or null if nothing walkable is within range
+     */
+    findNearestWalkableCell(x, z, maxRadius = 10) {
+        const cell = this.worldToCell(x, z);
+        if (this.isWalkableCell(cell.x, cell.z)) return cell;
+        
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+            
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    // Only the outer ring of this radius
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue;
+                    
+                    const cx = cell.x + dx;
+                    const cz = cell.z + dz;
+                    if (!this.isWalkableCell(cx, cz)) continue;
+                    
+                    const distance = dx * dx + dz * dz;
+                    if (distance < bestDistance) {
+                        best = { x: cx, z: cz };
+                        bestDistance = distance;
+                    }
+                }
+            }
+            
+            if (best) return best;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find a path between two world positions
+     * @returns {THREE.Vector3[]} Smoothed waypoints ending at (or near) the goal, empty if no path
+     */
+    findPath(start, goal) {
+        this.ensureUpToDate();
+        
+        const startCell = this.findNearestWalkableCell(start.x, start.z);
+        const goalCell = this.findNearestWalkableCell(goal.x, goal.z);
+        if (!startCell || !goalCell) return [];
+        
+        const size = this.size;
+        const startIndex = startCell.z * size + startCell.x;
+        const goalIndex = goalCell.z * size + goalCell.x;
+        
+        // New search: cells stamped with an older id count as unvisited
+        this.searchId++;
+        const searchId = this.searchId;
+        
+        const open = new PathHeap();
+        this.gScore[startIndex] = 0;
+        this.cameFrom[startIndex] = -1;
+        this.visited[startIndex] = searchId;
+        open.push(startIndex, this.heuristic(startCell.x, startCell.z, goalCell.x, goalCell.z));
+        
+        // Closest node to the goal so far, used if the search gives up
+        let bestIndex = startIndex;
+        let bestHeuristic = Infinity;
+        let expanded = 0;
+        
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (this.closed[current] === searchId) continue;
+            this.closed[current] = searchId;
+            
+            if (current === goalIndex) {
+                bestIndex = current;
+                break;
+            }
+            
+            const cx = current % size;
+            const cz = Math.floor(current / size);
+            
+            const h = this.heuristic(cx, cz, goalCell.x, goalCell.z);
+            if (h < bestHeuristic) {
+                bestHeuristic = h;
+                bestIndex = current;
+            }
+            
+            if (++expanded > this.maxSearchNodes) break;
+            
+            // 8-connected neighbours
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dz === 0) continue;
+                    
+                    const nx = cx + dx;
+                    const nz = cz + dz;
+                    if (!this.isWalkableCell(nx, nz)) continue;
+                    
+                    // Don't cut corners past blocked cells
+                    if (dx !== 0 && dz !== 0 &&
+                        (!this.isWalkableCell(cx + dx, cz) || !this.isWalkableCell(cx, cz + dz))) {
+                        continue;
+                    }
+                    
+                    const neighbour = nz * size + nx;
+                    if (this.closed[neighbour] === searchId) continue;
+                    
+                    const cost = this.gScore[current] + (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1);
+                    if (this.visited[neighbour] !== searchId || cost < this.gScore[neighbour]) {
+                        this.visited[neighbour] = searchId;
+                        this.gScore[neighbour] = cost;
+                        this.cameFrom[neighbour] = current;
+                        open.push(neighbour, cost + this.heuristic(nx, nz, goalCell.x, goalCell.z));
+                    }
+                }
+            }
+        }
+        
+        // Walk back from the goal (or best partial node) to the start
+        const cells = [];
+        for (let index = bestIndex; index !== -1; index = this.cameFrom[index]) {
+            cells.push(index);
+            if (index === startIndex) break;
+        }
+        cells.reverse();
+        
+        const path = cells.map(index => {
+            const center = this.cellToWorld(index % size, Math.floor(index / size));
+            return new THREE.Vector3(center.x, goal.y, center.z);
+        });
+        
+        // End exactly on the goal when it was reachable and walkable
+        if (bestIndex === goalIndex && this.isWalkable(goal)) {
+            path[path.length - 1] = goal.clone();
+        }
+        
+        return this.smoothPath(start, path);
+    }
+    
+    /**
+     * Octile distance between two cells
+     */
+    heuristic(ax, az, bx, bz) {
+        const dx = Math.abs(ax - bx);
+        const dz = Math.abs(az - bz);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+    
+    /**
+     * Drop waypoints that can be skipped with a straight walkable line (string pulling)
+     */
+    smoothPath(start, path) {
+        if (path.length <= 2) return path;
+        
+        const smoothed = [];
+        let from = start;
+        let index = 0;
+        
+        while (index < path.length) {
+            // Furthest waypoint reachable in a straight line from the current point
+            let furthest = index;
+            for (let j = path.length - 1; j > index; j--) {
+                if (this.isLineWalkable(from, path[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            
+            smoothed.push(path[furthest]);
+            from = path[furthest];
+            index = furthest + 1;
+        }
+        
+        return smoothed;
+    }
+    
+    /**
+     * Check if the straight line between two points only crosses walkable cells
+     */
+    isLineWalkable(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        
+        // Sample at quarter-cell steps
+        const steps = Math.max(1, Math.ceil(length / (this.cellSize * 0.25)));
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const cell = this.worldToCell(from.x + dx * t, from.z + dz * t);
+            if (!this.isWalkableCell(cell.x, cell.z)) return false;
+        }
+        
+        return true;
+    }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority, used as the A* open list
+ */
+class PathHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+    
+    size() {
+        return this.items.length;
+    }
+    
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        
+        // Sift up
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[index]) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+    
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            
+            // Sift down
+            let index = 0;
+            const length = this.items.length;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                
+                if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        
+        return top;
+    }
+    
+    swap(a, b) {
+        const item = this.items[a];
+        this.items[a] = this.items[b];
+        this.items[b] = item;
+        
+        const priority = this.priorities[a];
+        this.priorities[a] = this.priorities[b];
+        this.priorities[b] = priority;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Noise events bots can hear: gunshots, explosions, footsteps and landings
+ * Each event has a loudness radius; anyone inside it hears where the noise came from,
+ * walls or not. World owns the system, AiManager delivers new events to bots each frame
+ */
+
+// Per type: how long an event stays listed (and drawn in the debug overlay), and its ring colour
+const NOISE_TYPES = {
+    gunshot: { duration: 1.5, color: 0xff3333 },
+    explosion: { duration: 3, color: 0xff9900 },
+    footstep: { duration: 0.75, color: 0x33ccff },
+    landing: { duration: 1, color: 0xffff33 }
+};
+
+/**
+ * A single noise
+ */
+class NoiseEvent {
+    constructor(type, position, radius, source) {
+        if (!NOISE_TYPES[type]) {
+            throw new Error(`Unknown noise type "${type}"`);
+        }
+        
+        this.type = type;
+        this.position = position.clone();
+        this.radius = radius;
+        this.source = source; // Player or AiOpponent that made it (null for none)
+        this.age = 0;
+        this.duration = NOISE_TYPES[type].duration;
+        this.heardBy = 0; // Bots that heard it (shown in the debug overlay)
+        
+        // Debug overlay ring (only created while the overlay is shown)
+        this.marker = null;
+    }
+    
+    /**
+     * Check if a position is close enough to hear this noise
+     */
+    isAudibleAt(position) {
+        const dx = position.x - this.position.x;
+        const dz = position.z - this.position.z;
+        return dx * dx + dz * dz <= this.radius * this.radius;
+    }
+}
+
+/**
+ * Recent noise events and their debug overlay
+ */
+class NoiseSystem {
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Events still being shown, and those not yet delivered to listeners
+        this.events = [];
+        this.pending = [];
+        
+        // Noises quieter than this aren't worth reporting
+        this.minRadius = 0.5;
+        
+        // Debug overlay: a ground ring per event, fading with age
+        this.debugVisible = false;
+        this.markerGeometry = new THREE.RingGeometry(0.97, 1, 48);
+    }
+    
+    /**
+     * Make a noise heard out to radius
+     * @returns {NoiseEvent|null}
+     */
+    emit(type, position, radius, source = null) {
+        if (radius < this.minRadius) return null;
+        
+        const event = new NoiseEvent(type, position, radius, source);
+        this.events.push(event);
+        this.pending.push(event);
+        
+        if (this.debugVisible) {
+            this.createMarker(event);
+        }
+        
+        return event;
+    }
+    
+    /**
+     * Get the events made since the last call (each is delivered once)
+     */
+    takePendingEvents() {
+        const pending = this.pending;
+        this.pending = [];
+        return pending;
+    }
+    
+    /**
+     * Age events, dropping any that have run their course
+     */
+    update(deltaTime) {
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            const event = this.events[i];
+            event.age += deltaTime;
+            
+            if (event.age >= event.duration) {
+                this.removeMarker(event);
+                this.events.splice(i, 1);
+            } else if (event.marker) {
+                event.marker.material.opacity = 0.8 * (1 - event.age / event.duration);
+            }
+        }
+    }
+    
+    /**
+     * Remove all events (at match start)
+     */
+    clear() {
+        this.events.forEach(event => this.removeMarker(event));
+        this.events = [];
+        this.pending = [];
+    }
+    
+    /**
+     * Show or hide the debug rings
+     */
+    setDebugVisible(visible) {
+        this.debugVisible = visible;
+        this.events.forEach(event => {
+            if (visible) {
+                this.createMarker(event);
+            } else {
+                this.removeMarker(event);
+            }
+        });
+    }
+    
+    /**
+     * Draw an event's loudness radius as a ring on the ground
+     */
+    createMarker(event) {
+        if (event.marker) return;
+        
+        const material = new THREE.MeshBasicMaterial({
+            color: NOISE_TYPES[event.type].color,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        event.marker = new THREE.Mesh(this.markerGeometry, material);
+        event.marker.rotation.x = -Math.PI / 2;
+        event.marker.position.set(event.position.x, 0.1, event.position.z);
+        event.marker.scale.set(event.radius, event.radius, 1);
+        this.scene.add(event.marker);
+    }
+    
+    /**
+     * Remove an event's ring
+     */
+    removeMarker(event) {
+        if (!event.marker) return;
+        
+        this.scene.remove(event.marker);
+        event.marker.material.dispose();
+        event.marker = null;
+    }
+}
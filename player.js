@@ -2,24 +2,84 @@
  * Player class that handles player movement, shooting, and inventory
  */
 class Player {
-    constructor(camera, scene) {
+    /**
+     * @param {NoiseSystem} [noise] Where shots, footsteps and landings are made heard to bots
+     */
+    constructor(camera, scene, noise = null) {
         this.camera = camera;
         this.scene = scene;
+        this.noise = noise;
         
         // Player stats
         this.health = 100;
         this.maxHealth = 100;
-        this.armor = 0;
+        this.armor = new Armor(); // Vest and helmet
         this.isAlive = true;
         
         // Player movement
-        this.height = 1.7; // Player eye height
+        this.standHeight = 1.7; // Eye height standing
+        this.crouchHeight = 1.0; // Eye height crouched
+        this.height = this.standHeight; // Current eye height
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.direction = new THREE.Vector3();
-        this.moveSpeed = 5.0;
+        this.moveSpeed = 5.0; // Walking
+        this.sprintSpeed = 8.0;
+        this.crouchSpeed = 2.5;
+        this.aimSpeed = 2.0;
+        this.acceleration = 40.0; // Speeding up towards the target speed on the ground (units/s^2)
+        this.friction = 30.0; // Slowing down on the ground with no input
+        this.airAcceleration = 8.0; // Steering while airborne
         this.jumpForce = 10.0;
         this.gravity = 20.0;
         this.canJump = true;
+        this.knockback = new THREE.Vector3(); // Horizontal push from explosions, fades out
+        
+        // Stance (crouching makes the player harder for AI to spot and steadies aim)
+        this.isCrouching = false;
+        this.isSprinting = false;
+        
+        // Slide: crouching at sprint speed keeps the momentum for a moment
+        this.isSliding = false;
+        this.slideSpeed = 10.0; // Speed at the start of a slide
+        this.slideFriction = 8.0; // Slowdown while sliding (units/s^2)
+        this.slideDuration = 0.8; // Longest a slide can last (seconds)
+        this.slideTimer = 0;
+        
+        // Stamina drains while sprinting and refills after a short rest
+        this.stamina = 100;
+        this.maxStamina = 100;
+        this.staminaDrain = 20; // per second of sprinting
+        this.staminaRegen = 15; // per second
+        this.staminaRegenDelay = 1.0; // seconds after sprinting before it refills
+        this.staminaRegenTimer = 0;
+        this.sprintMinStamina = 20; // An exhausted player can't sprint again until back above this
+        this.isExhausted = false;
+        
+        // Mantling: jumping at a ledge within reach climbs onto it
+        this.mantleReach = 1.0; // How far above eye height the hands reach
+        this.mantleMinHeight = 0.4; // Anything lower is just walked or jumped onto
+        this.mantleDistance = 0.6; // How far in front of the collider to look for a ledge
+        this.mantleSpeed = 4.0; // Height climbed per second
+        this.mantle = null; // { start, end, time, duration } while climbing
+        
+        // Ladders (World.ladders): walking into one while facing it climbs it, and its top is
+        // mantled onto like any other ledge
+        this.climbSpeed = 3.0;
+        this.ladder = null; // Ladder being climbed
+        
+        // Fall damage: landing faster than the safe speed hurts, more the harder the impact
+        this.safeFallSpeed = 12.0; // units/s (a drop of about 3.5 units)
+        this.fallDamagePerSpeed = 8.0; // damage per unit/s over the safe speed
+        this.landingDamage = 0; // Fall damage taken this frame
+        
+        // Noise: a footstep every footstepStride units walked on the ground, heard out to a radius
+        // by stance, and a thud on landing that carries further the harder the impact
+        this.footstepStride = 2.0;
+        this.footstepRadius = { crouch: 3, walk: 12, sprint: 25, slide: 18 };
+        this.landingNoiseRadius = 5;
+        this.landingNoisePerSpeed = 1.0; // Extra radius per unit/s of impact speed
+        this.landingNoiseCrouchMultiplier = 0.5;
+        this.strideDistance = 0;
         
         // Player position
         this.position = new THREE.Vector3(0, this.height, 0);
@@ -32,21 +92,31 @@ class Player {
         };
         
         // Weapons
-        this.weapons = [
-            new Pistol(scene, camera),
-            new Rifle(scene, camera),
-            new Sniper(scene, camera)
-        ];
+        // Slot 4 starts empty (null) for a weapon picked up as loot, like the rocket launcher,
+        // unless one is chosen for it in the loadout menu
+        this.defaultLoadout = ['pistol', 'rifle', 'sniper', null];
+        this.loadout = this.defaultLoadout.slice(); // Weapon type per slot chosen before the match
+        this.loadoutAttachments = []; // Attachment keys per slot chosen before the match
+        this.weapons = this.loadout.map(type => type ? this.createWeapon(type) : null);
         this.currentWeaponIndex = 1; // Start with rifle
         this.currentWeapon = this.weapons[this.currentWeaponIndex];
         
-        // Equipment
-        this.grenades = 3;
+        // Equipment (grenade counts per type in GRENADE_TYPES)
+        this.startingGrenades = { frag: 2, smoke: 1, flash: 1, incendiary: 0 };
+        this.grenades = Object.assign({}, this.startingGrenades);
+        this.selectedGrenade = 'frag';
         this.medkits = 2;
         
+        // Grenade held with the pin pulled (thrown when the key is released), and its predicted arc
+        this.cookingGrenade = null;
+        this.trajectory = new GrenadeTrajectory(scene);
+        
         // Projectiles
         this.projectiles = [];
         
+        // Loot to put on the ground after a pickup (swapped weapons and attachments)
+        this.pendingDrops = [];
+        
         // Cooldowns
         this.switchWeaponCooldown = 0;
         this.grenadeCooldown = 0;
@@ -72,42 +142,73 @@ class Player {
         
         // Reset velocity
         this.velocity.set(0, 0, 0);
-        
-        // Reset weapons
-        this.weapons.forEach(weapon => {
+        this.knockback.set(0, 0, 0);
+        
+        // Reset stance and stamina
+        this.setHeight(this.standHeight);
+        this.position.y = this.height;
+        this.isCrouching = false;
+        this.isSprinting = false;
+        this.isSliding = false;
+        this.stamina = this.maxStamina;
+        this.staminaRegenTimer = 0;
+        this.isExhausted = false;
+        this.mantle = null;
+        this.ladder = null;
+        this.landingDamage = 0;
+        this.strideDistance = 0;
+        
+        // Reset weapons (swapping in the loadout picked for each slot, and any that were swapped for
+        // loot or picked up into an empty slot)
+        this.loadout.forEach((type, index) => {
+            let weapon = this.weapons[index];
+            if (weapon) {
+                weapon.unequip();
+            }
+            
+            if (!weapon || weapon.type !== type) {
+                if (weapon) {
+                    weapon.removeFromScene(this.scene);
+                }
+                weapon = type ? this.createWeapon(type) : null;
+                this.weapons[index] = weapon;
+            }
+            if (!weapon) return;
+            
+            // Refit the attachments picked in the loadout menu
+            weapon.setAttachments(this.getLoadoutAttachments(index));
             weapon.resetAmmo();
         });
+        this.pendingDrops = [];
         this.currentWeaponIndex = 1; // Start with rifle
         this.currentWeapon = this.weapons[this.currentWeaponIndex];
         this.currentWeapon.equip();
         
         // Reset equipment
-        this.grenades = 3;
+        this.grenades = Object.assign({}, this.startingGrenades);
+        this.selectedGrenade = 'frag';
         this.medkits = 2;
+        this.armor.reset();
         
-        // Clear projectiles
+        // Clear projectiles (including any grenade still being cooked)
         this.projectiles.forEach(projectile => {
             projectile.removeFromScene(this.scene);
         });
         this.projectiles = [];
+        this.cookingGrenade = null;
+        this.trajectory.hide();
     }
     
     /**
      * Take damage (from AI or environment)
+     * @param {string} [zone] Hit zone ('head' or 'body'), deciding which armor piece absorbs it
+     * @param {Object} [options] ignoreArmor: taken in full whatever the zone (the safe zone, fire)
      */
-    takeDamage(amount) {
+    takeDamage(amount, zone = 'body', options = {}) {
         if (!this.isAlive) return;
         
-        // Calculate actual damage (reduced by armor if any)
-        let actualDamage = amount;
-        if (this.armor > 0) {
-            // Armor reduces damage by 50%
-            const absorbedDamage = amount * 0.5;
-            actualDamage = amount - absorbedDamage;
-            
-            // Reduce armor
-            this.armor = Math.max(0, this.armor - absorbedDamage);
-        }
+        // Calculate actual damage (reduced by the armor covering the hit, if any)
+        const actualDamage = options.ignoreArmor ? amount : this.armor.absorb(amount, zone);
         
         // Apply damage
         this.health = Math.max(0, this.health - actualDamage);
@@ -118,37 +219,55 @@ class Player {
         }
     }
     
+    /**
+     * Get pushed by an explosion
+     */
+    applyKnockback(impulse) {
+        this.knockback.x += impulse.x;
+        this.knockback.z += impulse.z;
+        this.velocity.y += impulse.y;
+        
+        // Airborne until landing again
+        if (impulse.y > 0) {
+            this.canJump = false;
+        }
+    }
+    
     /**
      * Handle player death
      */
     die() {
         this.isAlive = false;
         this.health = 0;
+        this.trajectory.hide();
     }
     
     /**
-     * Switch to next weapon
+     * Switch to next weapon (empty slots are skipped)
      */
     switchWeapon(index) {
         if (this.switchWeaponCooldown > 0) return;
         
+        // Pick the new weapon index
+        if (index === undefined) {
+            // Cycle through the slots holding a weapon
+            index = this.currentWeaponIndex;
+            do {
+                index = (index + 1) % this.weapons.length;
+            } while (!this.weapons[index]);
+        }
+        if (!this.weapons[index]) return;
+        
         // Unequip current weapon
         this.currentWeapon.unequip();
-        
-        // Set new weapon index
-        if (index !== undefined) {
-            // Switch to specific weapon
-            this.currentWeaponIndex = index;
-        } else {
-            // Cycle through weapons
-            this.currentWeaponIndex = (this.currentWeaponIndex + 1) % this.weapons.length;
-        }
+        this.currentWeaponIndex = index;
         
         // Update current weapon reference
         this.currentWeapon = this.weapons[this.currentWeaponIndex];
         
-        // Equip new weapon
+        // Equip new weapon (keeping aim, at the new weapon's zoom)
         this.currentWeapon.equip();
+        if (this.isAiming) this.toggleAim(true);
         
         // Set cooldown
         this.switchWeaponCooldown = 0.5;
@@ -171,37 +290,204 @@ class Player {
     }
     
     /**
-     * Throw a grenade
+     * Take a loot item into the inventory
+     * @returns {boolean} True if the item was used (false leaves it on the ground)
      */
-    throwGrenade() {
-        if (this.grenadeCooldown > 0 || this.grenades <= 0) return;
+    collectLoot(item) {
+        const definition = item.definition;
+        
+        switch (item.type) {
+            case 'ammo':
+                // Ammo boxes refill the weapon in hand
+                this.currentWeapon.reserveAmmo += this.currentWeapon.magSize * definition.magazines;
+                return true;
+            case 'armor':
+                // Only taken if it beats what we're wearing
+                return this.armor.equip(definition.slot, definition.tier);
+            case 'medkit':
+                this.medkits += definition.amount;
+                return true;
+            case 'grenade':
+                this.grenades[definition.grenade] += definition.amount;
+                return true;
+            case 'weapon': {
+                // A weapon we already carry is taken for its ammo
+                const owned = this.weapons.find(weapon => weapon && weapon.type === definition.weapon);
+                if (owned) {
+                    owned.reserveAmmo += owned.magSize * 2;
+                    return true;
+                }
+                
+                // An empty slot takes it
+                const empty = this.weapons.indexOf(null);
+                if (empty !== -1) {
+                    this.fillEmptySlot(empty, definition.weapon, definition.attachments);
+                    return true;
+                }
+                
+                // Otherwise it's swapped for the weapon in hand, which keeps its attachments
+                const dropped = this.currentWeapon;
+                this.pendingDrops.push({ type: 'weapon', weapon: dropped.type, attachments: dropped.getAttachments() });
+                this.replaceCurrentWeapon(definition.weapon, definition.attachments);
+                return true;
+            }
+            case 'attachment': {
+                const weapon = this.findWeaponForAttachment(definition.attachment);
+                if (!weapon) return false;
+                
+                // Whatever was in the slot goes on the ground
+                const replaced = weapon.attach(definition.attachment);
+                if (replaced) {
+                    this.pendingDrops.push({ type: 'attachment', attachment: replaced });
+                }
+                return true;
+            }
+        }
         
-        // Create grenade projectile
-        const grenade = new Grenade(this.scene, this.camera);
+        return false;
+    }
+    
+    /**
+     * Pick which carried weapon an attachment goes on: the one in hand if it fits,
+     * otherwise the first weapon with that slot free
+     * @returns {Weapon|null} Null if nothing can take it (or every fitting weapon already has one)
+     */
+    findWeaponForAttachment(key) {
+        const slot = getAttachmentDefinition(key).slot;
+        const current = this.currentWeapon;
         
-        // Add to projectiles list
-        this.projectiles.push(grenade);
+        if (current.canAttach(key) && current.attachments[slot] !== key) {
+            return current;
+        }
+        
+        return this.weapons.find(weapon => weapon && weapon.canAttach(key) && !weapon.attachments[slot]) || null;
+    }
+    
+    /**
+     * Get the attachments to fit on a loadout slot's weapon (the menu choice, or the weapon's defaults)
+     */
+    getLoadoutAttachments(slot) {
+        return this.loadoutAttachments[slot] || getWeaponDefinition(this.loadout[slot]).attachments || [];
+    }
+    
+    /**
+     * Create a weapon for the player to carry, its shots heard as ours
+     */
+    createWeapon(type) {
+        const weapon = createWeapon(type, this.scene, this.camera);
+        weapon.noise = this.noise;
+        weapon.noiseSource = this;
+        return weapon;
+    }
+    
+    /**
+     * Put a new weapon of the given type in an empty slot and take it in hand
+     * @param {string[]} [attachments] Attachments to fit instead of the weapon's defaults
+     */
+    fillEmptySlot(slot, type, attachments) {
+        const weapon = this.createWeapon(type);
+        if (attachments) {
+            weapon.setAttachments(attachments);
+            weapon.resetAmmo();
+        }
+        this.weapons[slot] = weapon;
+        
+        this.currentWeapon.unequip();
+        this.currentWeaponIndex = slot;
+        this.currentWeapon = weapon;
+        this.currentWeapon.equip();
+        if (this.isAiming) this.toggleAim(true);
+    }
+    
+    /**
+     * Swap the weapon in hand for a new one of the given type
+     * @param {string[]} [attachments] Attachments to fit instead of the weapon's defaults
+     * @returns {string} Type of the weapon that was dropped
+     */
+    replaceCurrentWeapon(type, attachments) {
+        const dropped = this.currentWeapon;
+        dropped.unequip();
+        dropped.removeFromScene(this.scene);
+        
+        const weapon = this.createWeapon(type);
+        if (attachments) {
+            weapon.setAttachments(attachments);
+            weapon.resetAmmo();
+        }
+        this.weapons[this.currentWeaponIndex] = weapon;
+        this.currentWeapon = weapon;
+        this.currentWeapon.equip();
+        if (this.isAiming) this.toggleAim(true);
+        
+        return dropped.type;
+    }
+    
+    /**
+     * Pull the pin on a grenade of the selected type; its fuse burns while it is held
+     */
+    cookGrenade() {
+        const type = this.selectedGrenade;
+        if (!this.isAlive || this.cookingGrenade || this.grenadeCooldown > 0 || this.grenades[type] <= 0) return;
+        
+        // The grenade is a live projectile from now on, so it goes off in hand if held too long
+        this.cookingGrenade = createGrenade(type, this.scene, this.camera);
+        this.projectiles.push(this.cookingGrenade);
+        
+        // Use a grenade, moving on to another type when that was the last one
+        this.grenades[type]--;
+        if (this.grenades[type] <= 0) {
+            this.cycleGrenade();
+        }
+    }
+    
+    /**
+     * Throw the grenade being cooked, overhand or as a short underhand lob
+     */
+    throwGrenade(underhand = false) {
+        if (!this.cookingGrenade) return;
         
-        // Use a grenade
-        this.grenades--;
+        this.cookingGrenade.launch(underhand);
+        this.cookingGrenade = null;
+        this.trajectory.hide();
         
         // Set cooldown
         this.grenadeCooldown = 1.0;
     }
     
+    /**
+     * Select the next grenade type we have any of
+     */
+    cycleGrenade() {
+        const types = Object.keys(GRENADE_TYPES);
+        const start = types.indexOf(this.selectedGrenade);
+        
+        for (let i = 1; i <= types.length; i++) {
+            const type = types[(start + i) % types.length];
+            if (this.grenades[type] > 0) {
+                this.selectedGrenade = type;
+                return;
+            }
+        }
+    }
+    
     /**
      * Handle player shooting
      */
     shoot() {
-        if (!this.isAlive) return;
+        if (!this.isAlive || this.mantle || this.ladder) return;
         
-        // Try to fire current weapon
-        const projectile = this.currentWeapon.shoot();
+        // Try to fire current weapon (a shotgun round is several pellets)
+        const projectiles = this.currentWeapon.shoot();
         
-        // If weapon fired, add projectile to list
-        if (projectile) {
-            this.projectiles.push(projectile);
-        }
+        // If weapon fired, add projectiles to list
+        this.projectiles.push(...projectiles);
+    }
+    
+    /**
+     * Switch the current weapon to its next fire mode
+     */
+    cycleFireMode() {
+        this.currentWeapon.cycleFireMode();
     }
     
     /**
@@ -210,21 +496,18 @@ class Player {
     toggleAim(aiming) {
         this.isAiming = aiming;
         
+        // Aiming tightens the weapon's spread and steadies its sway
+        this.currentWeapon.isAiming = aiming;
+        
         if (this.isAiming) {
             // Zoom in (adjust FOV)
             const zoomFOV = this.currentWeapon.zoomFOV;
             this.camera.fov = zoomFOV;
             this.camera.updateProjectionMatrix();
-            
-            // Slow movement while aiming
-            this.moveSpeed = 2.0;
         } else {
             // Reset FOV
             this.camera.fov = 75;
             this.camera.updateProjectionMatrix();
-            
-            // Reset movement speed
-            this.moveSpeed = 5.0;
         }
     }
     
@@ -239,14 +522,166 @@ class Player {
         this.grenadeCooldown = Math.max(0, this.grenadeCooldown - deltaTime);
         this.medkitCooldown = Math.max(0, this.medkitCooldown - deltaTime);
         
-        // Update movement based on controls
-        this.updateMovement(deltaTime, controls, world);
+        // Climbing onto a ledge takes over movement until finished, as does a ladder
+        this.landingDamage = 0;
+        if (this.mantle) {
+            this.updateMantle(deltaTime);
+        } else {
+            // Crouch, slide, sprint and stamina, then movement based on controls
+            this.updateStance(deltaTime, controls, world);
+            if (this.ladder || this.grabLadder(controls, world)) {
+                this.updateClimb(deltaTime, controls, world);
+            } else {
+                this.updateMovement(deltaTime, controls, world);
+            }
+        }
+        
+        // Update current weapon (moving blooms its spread, sprinting and jumping even more;
+        // crouching steadies it)
+        const horizontalSpeed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z);
+        const moveFactor = this.canJump ? clamp(horizontalSpeed / this.moveSpeed, 0, 1.5) : 1.5;
+        this.currentWeapon.isCrouching = this.isCrouching && !this.isSliding;
+        this.currentWeapon.update(deltaTime, moveFactor);
         
-        // Update current weapon
-        this.currentWeapon.update(deltaTime);
+        // Fire the rest of any burst in progress
+        this.projectiles.push(...this.currentWeapon.updateBurst(deltaTime));
         
         // Update projectiles
         this.updateProjectiles(deltaTime, world);
+        
+        // Show where a cooking grenade would land (unless it just went off in hand)
+        this.updateGrenadePreview(controls, world);
+    }
+    
+    /**
+     * Draw the predicted arc of the grenade being cooked
+     */
+    updateGrenadePreview(controls, world) {
+        if (this.cookingGrenade && this.cookingGrenade.exploded) {
+            this.cookingGrenade = null;
+            this.grenadeCooldown = 1.0;
+        }
+        
+        if (this.cookingGrenade) {
+            this.trajectory.show(this.cookingGrenade.predictPath(controls.underhand, world));
+        } else {
+            this.trajectory.hide();
+        }
+    }
+    
+    /**
+     * Handle crouching, sliding, sprinting and stamina
+     */
+    updateStance(deltaTime, controls, world) {
+        const moving = controls.getMoveDirection().lengthSq() > 0;
+        
+        // Crouch while the key is held, standing back up only where there's headroom
+        if (controls.crouch && !this.isCrouching) {
+            // Crouching out of a sprint on the ground turns into a slide
+            if (this.isSprinting && this.canJump) {
+                this.startSlide();
+            }
+            this.crouch();
+        } else if (!controls.crouch && this.isCrouching) {
+            this.tryStand(world);
+        }
+        
+        // Slides run out of time or speed, and end when jumping
+        if (this.isSliding) {
+            this.slideTimer -= deltaTime;
+            const speed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z);
+            if (this.slideTimer <= 0 || speed <= this.crouchSpeed || !this.isCrouching || !this.canJump) {
+                this.isSliding = false;
+            }
+        }
+        
+        // Sprint while the key is held and moving, standing, not aiming and with stamina left
+        if (this.stamina >= this.sprintMinStamina) {
+            this.isExhausted = false;
+        }
+        const wasSprinting = this.isSprinting;
+        this.isSprinting = controls.sprint && moving && !this.isCrouching && !this.isAiming &&
+            !this.isExhausted && this.stamina > 0;
+        
+        // Breaking into a sprint lowers the weapon, abandoning any reload
+        if (this.isSprinting && !wasSprinting) {
+            this.currentWeapon.cancelReload();
+        }
+        
+        if (this.isSprinting) {
+            this.stamina = Math.max(0, this.stamina - this.staminaDrain * deltaTime);
+            this.staminaRegenTimer = this.staminaRegenDelay;
+            if (this.stamina <= 0) {
+                this.isExhausted = true;
+            }
+        } else if (this.staminaRegenTimer > 0) {
+            this.staminaRegenTimer -= deltaTime;
+        } else {
+            this.stamina = Math.min(this.maxStamina, this.stamina + this.staminaRegen * deltaTime);
+        }
+    }
+    
+    /**
+     * Drop into a crouch
+     */
+    crouch() {
+        this.isCrouching = true;
+        this.isSprinting = false;
+        this.position.y -= this.standHeight - this.crouchHeight;
+        this.setHeight(this.crouchHeight);
+    }
+    
+    /**
+     * Stand up from a crouch if nothing is overhead
+     * @returns {boolean} True if the player stood up
+     */
+    tryStand(world) {
+        const rise = this.standHeight - this.crouchHeight;
+        
+        // Test the standing eye position (plus a little for the top of the head) against obstacles
+        const standing = this.position.clone();
+        standing.y += rise + 0.2;
+        const collision = world.checkCollision(standing, new THREE.Vector3(), this.collider.radius, this.standHeight * 2);
+        if (collision.blocked.x || collision.blocked.z) return false;
+        
+        this.isCrouching = false;
+        this.isSliding = false;
+        this.position.y += rise;
+        this.setHeight(this.standHeight);
+        return true;
+    }
+    
+    /**
+     * Set the eye height, resizing the collider to match
+     */
+    setHeight(height) {
+        this.height = height;
+        this.collider.height = height * 2;
+    }
+    
+    /**
+     * Start a slide in the current direction of travel
+     */
+    startSlide() {
+        const horizontal = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
+        if (horizontal.lengthSq() === 0) return;
+        
+        horizontal.normalize().multiplyScalar(this.slideSpeed);
+        this.velocity.x = horizontal.x;
+        this.velocity.z = horizontal.z;
+        
+        this.isSliding = true;
+        this.slideTimer = this.slideDuration;
+    }
+    
+    /**
+     * Get the speed the player is trying to move at for the current stance
+     */
+    getTargetSpeed() {
+        if (this.isAiming) return this.aimSpeed;
+        if (this.isCrouching) return this.crouchSpeed;
+        if (this.isSprinting) return this.sprintSpeed;
+        return this.moveSpeed;
     }
     
     /**
@@ -259,11 +694,45 @@ class Player {
         // Get movement direction from controls
         const moveDirection = controls.getMoveDirection();
         
-        // Update velocity based on movement input
-        this.velocity.x = moveDirection.x * this.moveSpeed;
-        this.velocity.z = moveDirection.z * this.moveSpeed;
+        // Remove last frame's blast push so only our own movement is accelerated
+        this.velocity.x -= this.knockback.x;
+        this.velocity.z -= this.knockback.z;
+        
+        // Accelerate towards the target velocity (sliding just bleeds off speed, without steering)
+        const target = moveDirection.clone().multiplyScalar(this.getTargetSpeed());
+        let rate;
+        if (this.isSliding) {
+            target.set(this.velocity.x, 0, this.velocity.z);
+            const speed = target.length();
+            if (speed > 0) target.multiplyScalar(Math.max(0, speed - this.slideFriction * deltaTime) / speed);
+            rate = Infinity;
+        } else if (!this.canJump) {
+            rate = this.airAcceleration;
+        } else {
+            rate = moveDirection.lengthSq() > 0 ? this.acceleration : this.friction;
+        }
         
-        // Check if jump requested and player is on ground
+        const change = new THREE.Vector3(target.x - this.velocity.x, 0, target.z - this.velocity.z);
+        const maxChange = rate * deltaTime;
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        this.velocity.x += change.x;
+        this.velocity.z += change.z;
+        
+        // Add any blast push on top
+        this.velocity.x += this.knockback.x;
+        this.velocity.z += this.knockback.z;
+        this.knockback.multiplyScalar(Math.max(0, 1 - 4 * deltaTime));
+        
+        // Jumping at a ledge within reach climbs it (also mid-air), otherwise jump if on the ground
+        if (controls.jump && !this.isCrouching) {
+            const ledge = this.findLedge(world);
+            if (ledge) {
+                this.startMantle(ledge);
+                return;
+            }
+        }
         if (controls.jump && this.canJump) {
             this.velocity.y = this.jumpForce;
             this.canJump = false;
@@ -283,182 +752,330 @@ class Player {
         // Update position based on collision result
         this.position.add(collision.movement);
         
+        // Landing hard hurts (judged on the speed we hit the ground at), and can be heard
+        if (collision.onGround && !this.canJump) {
+            this.applyFallDamage(-this.velocity.y);
+            this.makeLandingNoise(-this.velocity.y);
+        }
+        
+        // Footsteps while moving on the ground
+        if (collision.onGround && this.canJump) {
+            this.updateFootsteps(collision.movement);
+        }
+        
         // Update velocity based on collision
         this.velocity.x = collision.blocked.x ? 0 : this.velocity.x;
         this.velocity.y = collision.blocked.y ? 0 : this.velocity.y;
         this.velocity.z = collision.blocked.z ? 0 : this.velocity.z;
         
         // Check if player is on ground
-        if (collision.onGround) {
-            this.canJump = true;
-        }
+        this.canJump = collision.onGround;
         
         // Update camera position to match player position
         this.camera.position.copy(this.position);
     }
     
     /**
-     * Update projectiles
+     * Count distance walked, making a footstep noise every stride (quieter crouched, louder sprinting)
      */
-    updateProjectiles(deltaTime, world) {
-        // Update each projectile
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const projectile = this.projectiles[i];
-            
-            // Update projectile
-            projectile.update(deltaTime);
-            
-            // Check if projectile hit the world
-            if (world.checkProjectileCollision(projectile)) {
-                // Remove projectile
-                this.projectiles.splice(i, 1);
-                projectile.removeFromScene(this.scene);
-                continue;
-            }
-            
-            // Check if projectile lifetime is over
-            if (projectile.lifetime <= 0) {
-                // Remove projectile
-                this.projectiles.splice(i, 1);
-                projectile.removeFromScene(this.scene);
-            }
+    updateFootsteps(movement) {
+        this.strideDistance += Math.sqrt(movement.x * movement.x + movement.z * movement.z);
+        if (this.strideDistance < this.footstepStride) return;
+        this.strideDistance = 0;
+        
+        if (!this.noise) return;
+        
+        let radius = this.footstepRadius.walk;
+        if (this.isSliding) {
+            radius = this.footstepRadius.slide;
+        } else if (this.isCrouching) {
+            radius = this.footstepRadius.crouch;
+        } else if (this.isSprinting) {
+            radius = this.footstepRadius.sprint;
         }
+        this.noise.emit('footstep', this.getFootPosition(), radius, this);
     }
     
     /**
-     * Get player position
+     * Make a landing noise for hitting the ground at the given speed
      */
-    getPosition() {
-        return this.position.clone();
+    makeLandingNoise(impactSpeed) {
+        if (!this.noise) return;
+        
+        let radius = this.landingNoiseRadius + Math.max(0, impactSpeed) * this.landingNoisePerSpeed;
+        if (this.isCrouching) radius *= this.landingNoiseCrouchMultiplier;
+        this.noise.emit('landing', this.getFootPosition(), radius, this);
     }
     
     /**
-     * Get player forward direction
+     * Get the point on the ground under the player
      */
-    getDirection() {
-        // Get direction vector from camera
-        this.camera.getWorldDirection(this.direction);
-        return this.direction.clone();
+    getFootPosition() {
+        return new THREE.Vector3(this.position.x, this.position.y - this.height, this.position.z);
     }
-}
-
-/**
- * Base class for grenades
- */
-class Grenade {
-    constructor(scene, camera) {
-        this.scene = scene;
+    
+    /**
+     * Take damage for hitting the ground at the given speed (armor doesn't help)
+     */
+    applyFallDamage(impactSpeed) {
+        if (impactSpeed <= this.safeFallSpeed) return;
         
-        // Create grenade mesh
-        const geometry = new THREE.SphereGeometry(0.1, 8, 8);
-        const material = new THREE.MeshBasicMaterial({ color: 0x333333 });
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.landingDamage = (impactSpeed - this.safeFallSpeed) * this.fallDamagePerSpeed;
+        this.health = Math.max(0, this.health - this.landingDamage);
         
-        // Set initial position and direction
-        const position = camera.position.clone();
-        const direction = new THREE.Vector3();
-        camera.getWorldDirection(direction);
+        if (this.health <= 0) {
+            this.die();
+        }
+    }
+    
+    /**
+     * Look for a ledge within reach in front of the player
+     * @returns {Object|null} { top, target } where target is the eye position standing on the ledge
+     */
+    findLedge(world) {
+        const forward = this.getDirection();
+        forward.y = 0;
+        if (forward.lengthSq() === 0) return null;
+        forward.normalize();
+        
+        const feet = this.position.y - this.height;
+        const probe = this.position.clone().addScaledVector(forward, this.collider.radius + this.mantleDistance);
+        
+        // Highest obstacle top under the probe that's above a step and within reach
+        let ledge = null;
+        for (const obstacle of world.getObstaclesNear(probe, 0)) {
+            if (obstacle.type !== 'box') continue;
+            if (Math.abs(probe.x - obstacle.position.x) > obstacle.width / 2 ||
+                Math.abs(probe.z - obstacle.position.z) > obstacle.depth / 2) continue;
+            
+            const top = obstacle.position.y + obstacle.height / 2;
+            if (top < feet + this.mantleMinHeight || top > this.position.y + this.mantleReach) continue;
+            
+            if (!ledge || top > ledge.top) {
+                ledge = { top: top, obstacle: obstacle };
+            }
+        }
+        if (!ledge) return null;
+        
+        // Stand a little way in from the edge, but still on top
+        const obstacle = ledge.obstacle;
+        const inset = this.collider.radius;
+        const target = probe.clone().addScaledVector(forward, inset);
+        target.x = clamp(target.x, obstacle.position.x - obstacle.width / 2 + inset, obstacle.position.x + obstacle.width / 2 - inset);
+        target.z = clamp(target.z, obstacle.position.z - obstacle.depth / 2 + inset, obstacle.position.z + obstacle.depth / 2 - inset);
+        target.y = ledge.top + this.height;
+        
+        // Needs room to stand up there
+        const head = target.clone();
+        head.y += 0.2;
+        const collision = world.checkCollision(head, new THREE.Vector3(), this.collider.radius, this.collider.height);
+        if (collision.blocked.x || collision.blocked.z) return null;
+        
+        return { top: ledge.top, target: target };
+    }
+    
+    /**
+     * Start climbing onto a ledge
+     */
+    startMantle(ledge) {
+        const rise = Math.max(0, ledge.target.y - this.position.y);
+        
+        this.mantle = {
+            start: this.position.clone(),
+            end: ledge.target,
+            time: 0,
+            duration: 0.25 + rise / this.mantleSpeed
+        };
         
-        // Adjust spawn position to be in front of the camera
-        position.add(direction.multiplyScalar(0.5));
-        this.mesh.position.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.knockback.set(0, 0, 0);
+        this.isSprinting = false;
+        this.isSliding = false;
         
-        // Calculate velocity (direction + slight upward angle)
-        this.velocity = direction.clone();
-        this.velocity.y += 0.2; // Throw with slight upward angle
-        this.velocity.normalize().multiplyScalar(15); // Throw speed
+        // Hands are busy climbing
+        this.currentWeapon.cancelReload();
+    }
+    
+    /**
+     * Animate the camera up and over the ledge: mostly up first, then forward onto it
+     */
+    updateMantle(deltaTime) {
+        const mantle = this.mantle;
+        mantle.time += deltaTime;
+        const t = clamp(mantle.time / mantle.duration, 0, 1);
+        
+        const up = clamp(t / 0.6, 0, 1);
+        const over = clamp((t - 0.4) / 0.6, 0, 1);
+        
+        this.position.set(
+            lerp(mantle.start.x, mantle.end.x, over),
+            lerp(mantle.start.y, mantle.end.y, Math.sin(up * Math.PI / 2)),
+            lerp(mantle.start.z, mantle.end.z, over)
+        );
+        this.camera.position.copy(this.position);
         
-        // Properties
-        this.damage = 100;
-        this.radius = 5;
-        this.lifetime = 3.0; // 3 seconds until explosion
-        this.exploded = false;
+        if (t >= 1) {
+            this.mantle = null;
+            this.canJump = true;
+        }
+    }
+    
+    /**
+     * Check if the player is looking at a ladder's wall
+     */
+    isFacingLadder(ladder) {
+        const forward = this.getDirection();
+        forward.y = 0;
+        if (forward.lengthSq() === 0) return false;
         
-        // Add to scene
-        scene.add(this.mesh);
+        return forward.normalize().dot(ladder.normal) < -0.5;
     }
     
     /**
-     * Update grenade position and check for explosion
+     * Get on a ladder when facing its wall and moving towards it: forward from beside it,
+     * or backing over the edge from the roof above it
+     * @returns {boolean} True if now climbing
      */
-    update(deltaTime) {
-        if (this.exploded) return false;
+    grabLadder(controls, world) {
+        if (this.isCrouching || controls.jump) return false;
+        if (!controls.moveForward && !controls.moveBackward) return false;
         
-        // Apply gravity
-        this.velocity.y -= 9.8 * deltaTime;
+        const feet = this.getFootPosition();
+        const ladder = world.findLadder(feet, this.collider.radius);
+        if (!ladder || !this.isFacingLadder(ladder)) return false;
         
-        // Update position
-        this.mesh.position.x += this.velocity.x * deltaTime;
-        this.mesh.position.y += this.velocity.y * deltaTime;
-        this.mesh.position.z += this.velocity.z * deltaTime;
+        const onTop = feet.y >= ladder.top - 0.2;
+        if (onTop ? !controls.moveBackward : !controls.moveForward) return false;
         
-        // Update lifetime
-        this.lifetime -= deltaTime;
+        // Step onto the rungs: centred on the ladder, just off the wall
+        const offset = this.position.clone().sub(ladder.position);
+        const along = offset.x * ladder.normal.z - offset.z * ladder.normal.x;
+        this.position.x = ladder.position.x + ladder.normal.x * (this.collider.radius + 0.05) + ladder.normal.z * along;
+        this.position.z = ladder.position.z + ladder.normal.z * (this.collider.radius + 0.05) - ladder.normal.x * along;
         
-        // Check if it's time to explode
-        if (this.lifetime <= 0) {
-            this.explode();
-        }
+        this.ladder = ladder;
+        this.velocity.set(0, 0, 0);
+        this.knockback.set(0, 0, 0);
+        this.isSprinting = false;
+        this.isSliding = false;
         
+        // Hands are busy climbing
+        this.currentWeapon.cancelReload();
         return true;
     }
     
     /**
-     * Handle grenade explosion
+     * Climb up (forward) or down (back) the ladder, mantling onto the roof at the top.
+     * Jumping lets go, as does reaching the ground or leaving the ladder
      */
-    explode() {
-        if (this.exploded) return;
+    updateClimb(deltaTime, controls, world) {
+        const ladder = this.ladder;
         
-        this.exploded = true;
+        if (controls.jump || world.findLadder(this.getFootPosition(), this.collider.radius) !== ladder) {
+            // Push off away from the wall
+            if (controls.jump) {
+                this.velocity.copy(ladder.normal).multiplyScalar(this.moveSpeed * 0.5);
+            }
+            this.ladder = null;
+            return;
+        }
         
-        // Create explosion effect
-        const explosion = new THREE.PointLight(0xff5500, 2, this.radius * 2);
-        explosion.position.copy(this.mesh.position);
-        this.scene.add(explosion);
+        if (controls.moveForward) {
+            const ledge = this.findLedge(world);
+            if (ledge) {
+                this.ladder = null;
+                this.startMantle(ledge);
+                return;
+            }
+        }
         
-        // Remove explosion after short delay
-        setTimeout(() => {
-            this.scene.remove(explosion);
-        }, 100);
+        let climb = 0;
+        if (controls.moveForward) {
+            climb = this.climbSpeed;
+        } else if (controls.moveBackward) {
+            climb = -this.climbSpeed;
+        }
         
-        // Remove grenade mesh
-        this.removeFromScene(this.scene);
+        const collision = world.checkCollision(
+            this.position,
+            new THREE.Vector3(0, climb * deltaTime, 0),
+            this.collider.radius,
+            this.collider.height
+        );
+        this.position.add(collision.movement);
+        this.camera.position.copy(this.position);
+        
+        // Stepped off at the bottom
+        this.canJump = collision.onGround;
+        if (collision.onGround) {
+            this.ladder = null;
+        }
     }
     
     /**
-     * Check if point is within explosion radius
+     * Update projectiles
+     * Hits, explosions and removal are resolved in Game.checkCollisions
      */
-    isInExplosionRadius(point) {
-        if (!this.exploded) return false;
-        
-        const distance = point.distanceTo(this.mesh.position);
-        return distance <= this.radius;
+    updateProjectiles(deltaTime, world) {
+        this.projectiles.forEach(projectile => {
+            projectile.update(deltaTime, world);
+        });
     }
     
     /**
-     * Calculate damage based on distance from explosion
+     * Get player position
      */
-    getDamageAt(point) {
-        if (!this.exploded) return 0;
-        
-        const distance = point.distanceTo(this.mesh.position);
-        if (distance > this.radius) return 0;
-        
-        // Damage falls off with distance
-        return this.damage * (1 - (distance / this.radius));
+    getPosition() {
+        return this.position.clone();
     }
     
     /**
-     * Get current position
+     * Get the box used for projectile hit tests (feet to top of head)
      */
-    getPosition() {
-        return this.mesh.position.clone();
+    getHitBox() {
+        return {
+            position: new THREE.Vector3(this.position.x, this.position.y - this.height / 2 + 0.1, this.position.z),
+            width: this.collider.radius * 2,
+            height: this.height + 0.2,
+            depth: this.collider.radius * 2
+        };
+    }
+    
+    /**
+     * Get the hit zone for a point on the hit box (the top of the box is the head)
+     */
+    getHitZone(point) {
+        return point.y > this.position.y - 0.2 ? 'head' : 'body';
     }
     
     /**
-     * Remove grenade from scene
+     * How easy the player is to spot for AI (1 = fully visible)
      */
-    removeFromScene(scene) {
-        scene.remove(this.mesh);
+    getVisibility() {
+        let visibility = 1.0;
+        
+        if (this.isCrouching) {
+            visibility *= 0.6;
+        } else if (this.isSprinting) {
+            // Running figures catch the eye
+            visibility *= 1.3;
+        }
+        
+        // Standing still is harder to pick out than moving
+        const horizontalSpeed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.z * this.velocity.z);
+        if (horizontalSpeed < 0.1) {
+            visibility *= 0.7;
+        }
+        
+        return visibility;
+    }
+    
+    /**
+     * Get player forward direction
+     */
+    getDirection() {
+        // Get direction vector from camera
+        this.camera.getWorldDirection(this.direction);
+        return this.direction.clone();
     }
 }
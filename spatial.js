@@ -0,0 +1,108 @@
+/**
+ * Uniform grid spatial hash on the ground plane (x/z)
+ * Used for static obstacles in World and for moving opponents in AiManager
+ */
+class SpatialHash {
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        
+        // Cell key -> array of items overlapping that cell
+        this.cells = new Map();
+    }
+    
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.cells.clear();
+    }
+    
+    /**
+     * Get the integer key of the cell containing a coordinate pair
+     */
+    getKey(cx, cz) {
+        return (cx + 32768) * 65536 + (cz + 32768);
+    }
+    
+    /**
+     * Insert an item covering the rectangle [minX, maxX] x [minZ, maxZ]
+     */
+    insert(item, minX, minZ, maxX, maxZ) {
+        const minCX = Math.floor(minX / this.cellSize);
+        const minCZ = Math.floor(minZ / this.cellSize);
+        const maxCX = Math.floor(maxX / this.cellSize);
+        const maxCZ = Math.floor(maxZ / this.cellSize);
+        
+        for (let cx = minCX; cx <= maxCX; cx++) {
+            for (let cz = minCZ; cz <= maxCZ; cz++) {
+                const key = this.getKey(cx, cz);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+    
+    /**
+     * Insert an item at a single point
+     */
+    insertPoint(item, position) {
+        this.insert(item, position.x, position.z, position.x, position.z);
+    }
+    
+    /**
+     * Get every item whose cells overlap the rectangle (each item once)
+     */
+    query(minX, minZ, maxX, maxZ) {
+        const minCX = Math.floor(minX / this.cellSize);
+        const minCZ = Math.floor(minZ / this.cellSize);
+        const maxCX = Math.floor(maxX / this.cellSize);
+        const maxCZ = Math.floor(maxZ / this.cellSize);
+        
+        const results = [];
+        const seen = new Set();
+        
+        for (let cx = minCX; cx <= maxCX; cx++) {
+            for (let cz = minCZ; cz <= maxCZ; cz++) {
+                const cell = this.cells.get(this.getKey(cx, cz));
+                if (!cell) continue;
+                
+                for (const item of cell) {
+                    if (!seen.has(item)) {
+                        seen.add(item);
+                        results.push(item);
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Get items near a position (cells overlapping the square around the radius)
+     */
+    queryRadius(position, radius) {
+        return this.query(
+            position.x - radius,
+            position.z - radius,
+            position.x + radius,
+            position.z + radius
+        );
+    }
+    
+    /**
+     * Get items near the segment start -> end, padded for items stored as points
+     */
+    querySegment(start, end, padding = 0) {
+        return this.query(
+            Math.min(start.x, end.x) - padding,
+            Math.min(start.z, end.z) - padding,
+            Math.max(start.x, end.x) + padding,
+            Math.max(start.z, end.z) + padding
+        );
+    }
+}
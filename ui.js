@@ -8,24 +8,53 @@ class UI {
         // Get UI elements
         this.healthBar = document.getElementById('health-fill');
         this.healthText = document.getElementById('health-text');
+        this.staminaFill = document.getElementById('stamina-fill');
+        this.armorBars = {
+            vest: { fill: document.getElementById('vest-fill'), tier: document.getElementById('vest-tier') },
+            helmet: { fill: document.getElementById('helmet-fill'), tier: document.getElementById('helmet-tier') }
+        };
         this.ammoText = document.getElementById('ammo-text');
+        this.fireModeText = document.getElementById('fire-mode');
         this.playersCountText = document.getElementById('players-count');
         this.killFeed = document.getElementById('kill-feed');
         this.weaponSelectors = [
             document.getElementById('weapon-1'),
             document.getElementById('weapon-2'),
-            document.getElementById('weapon-3')
+            document.getElementById('weapon-3'),
+            document.getElementById('weapon-4')
         ];
-        this.grenadeCounter = document.querySelector('#grenade span');
+        this.grenadeCounters = {};
+        document.querySelectorAll('.grenade-type').forEach(element => {
+            this.grenadeCounters[element.dataset.type] = element;
+        });
+        this.flashOverlay = document.getElementById('flash-overlay');
+        this.flashTimeout = null;
         this.medkitCounter = document.querySelector('#medkit span');
         this.crosshair = document.getElementById('crosshair');
+        this.reloadRing = document.getElementById('reload-ring');
+        this.reloadRingFill = document.getElementById('reload-ring-fill');
+        this.reloadRingLength = 2 * Math.PI * 16; // Circumference of the ring's circle (r = 16)
+        this.hitMarker = document.getElementById('hit-marker');
+        this.hitMarkerTimeout = null;
         this.minimap = document.getElementById('minimap');
+        this.zoneTimer = document.getElementById('zone-timer');
+        this.noiseDebug = document.getElementById('noise-debug');
+        this.pickupPrompt = document.getElementById('pickup-prompt');
+        
+        // Pre-match loadout menu: per weapon slot, a choice of weapon and one select per attachment slot
+        this.loadoutOptions = document.getElementById('loadout-options');
+        this.loadoutSlots = [];
+        
+        // Pre-match opponent mix: one checkbox per AI skill tier
+        this.difficultyOptions = document.getElementById('difficulty-options');
+        this.difficultyCheckboxes = [];
         
         // Game over screen elements
         this.gameOverScreen = document.getElementById('game-over');
         this.rankText = document.getElementById('rank');
         this.eliminationsText = document.getElementById('eliminations');
         this.accuracyText = document.getElementById('accuracy');
+        this.headshotsText = document.getElementById('headshots');
         
         // Initialize minimap
         this.initializeMinimap();
@@ -37,20 +66,36 @@ class UI {
     update() {
         const player = this.game.player;
         
-        // Update health
+        // Update health, stamina and armor
         this.updatePlayerHealth(player.health);
+        this.updateStamina(player);
+        this.updateArmor(player.armor);
         
         // Update ammo
         this.updateAmmo(player.currentWeapon);
+        this.updateReloadProgress(player.currentWeapon);
         
         // Update equipment
         this.updateEquipment(player);
         
         // Update weapon selection
-        this.updateWeaponSelection(player.currentWeaponIndex);
+        this.updateWeaponSelection(player.currentWeaponIndex, player.weapons);
         
         // Update minimap
         this.updateMinimap(player, this.game.aiManager.opponents);
+        
+        // Update safe zone timer
+        this.updateZoneTimer(this.game.world.safeZone, player);
+        
+        // Update loot pickup prompt
+        const loot = this.game.world.loot;
+        this.updatePickupPrompt(loot.findNearest(player.getPosition(), loot.pickupRange));
+        
+        // List recent noises while the debug overlay is up
+        const noise = this.game.world.noise;
+        if (noise.debugVisible) {
+            this.updateNoiseDebug(noise, player, this.game.aiManager.opponents);
+        }
     }
     
     /**
@@ -71,11 +116,33 @@ class UI {
         }
     }
     
+    /**
+     * Update the stamina bar (red while too exhausted to sprint)
+     */
+    updateStamina(player) {
+        this.staminaFill.style.width = `${player.stamina / player.maxStamina * 100}%`;
+        this.staminaFill.classList.toggle('exhausted', player.isExhausted);
+    }
+    
+    /**
+     * Update the vest and helmet bars (durability left, and tier worn)
+     */
+    updateArmor(armor) {
+        Object.keys(this.armorBars).forEach(slot => {
+            const bar = this.armorBars[slot];
+            const tier = armor.getTier(slot);
+            
+            bar.fill.style.width = `${armor.getCondition(slot) * 100}%`;
+            bar.tier.textContent = tier > 0 ? `T${tier}` : '-';
+        });
+    }
+    
     /**
      * Update ammo counter
      */
     updateAmmo(weapon) {
         this.ammoText.textContent = `${weapon.currentMag}/${weapon.reserveAmmo}`;
+        this.fireModeText.textContent = weapon.fireMode.toUpperCase();
         
         // Highlight low ammo
         if (weapon.currentMag === 0) {
@@ -87,27 +154,209 @@ class UI {
         }
     }
     
+    /**
+     * Fill the ring around the crosshair as a reload progresses
+     */
+    updateReloadProgress(weapon) {
+        if (!weapon.isReloading()) {
+            this.reloadRing.classList.add('hidden');
+            return;
+        }
+        
+        this.reloadRing.classList.remove('hidden');
+        this.reloadRing.classList.toggle('tactical', weapon.reloadState === 'tactical');
+        
+        const remaining = 1 - weapon.getReloadProgress();
+        this.reloadRingFill.style.strokeDashoffset = `${this.reloadRingLength * remaining}`;
+    }
+    
     /**
      * Update equipment counters
      */
     updateEquipment(player) {
-        this.grenadeCounter.textContent = player.grenades;
+        // Per-type grenade counts, with the selected type highlighted
+        Object.keys(this.grenadeCounters).forEach(type => {
+            const element = this.grenadeCounters[type];
+            element.querySelector('span').textContent = player.grenades[type];
+            element.classList.toggle('selected', type === player.selectedGrenade);
+            element.classList.toggle('empty', player.grenades[type] <= 0);
+        });
         this.medkitCounter.textContent = player.medkits;
     }
     
     /**
-     * Update weapon selection highlighting
+     * White out the screen after a flashbang, fading back over the blind duration
      */
-    updateWeaponSelection(index) {
-        // Remove active class from all
-        this.weaponSelectors.forEach(selector => {
+    showFlash(strength, duration) {
+        // Jump straight to white, then fade on the next frame
+        this.flashOverlay.style.transition = 'none';
+        this.flashOverlay.style.opacity = Math.min(1, strength * 1.5);
+        
+        clearTimeout(this.flashTimeout);
+        this.flashTimeout = setTimeout(() => {
+            this.flashOverlay.style.transition = `opacity ${duration}s ease-in`;
+            this.flashOverlay.style.opacity = 0;
+        }, 50);
+    }
+    
+    /**
+     * Update weapon selection highlighting and slot labels
+     */
+    updateWeaponSelection(index, weapons) {
+        // Remove active class from all, and label each slot with what's in it (greying out empty ones)
+        this.weaponSelectors.forEach((selector, slot) => {
             selector.classList.remove('active');
+            selector.classList.toggle('empty', !weapons[slot]);
+            
+            const name = weapons[slot] ? `${slot + 1} ${weapons[slot].name}` : `${slot + 1}`;
+            if (selector.textContent !== name) {
+                selector.textContent = name;
+            }
         });
         
         // Add active class to current weapon
         this.weaponSelectors[index].classList.add('active');
     }
     
+    /**
+     * Fill the menu with a row per weapon slot: any weapon can be picked for it (or none, for
+     * slots that start empty), followed by a choice of attachment for every slot the picked weapon has
+     */
+    buildLoadoutMenu(player) {
+        this.loadoutOptions.innerHTML = '';
+        this.loadoutSlots = [];
+        
+        player.loadout.forEach((type, index) => {
+            const row = document.createElement('div');
+            row.className = 'loadout-weapon';
+            
+            const label = document.createElement('span');
+            label.textContent = `Slot ${index + 1}`;
+            row.appendChild(label);
+            
+            const weaponSelect = document.createElement('select');
+            weaponSelect.title = 'weapon';
+            if (player.defaultLoadout[index] === null) {
+                weaponSelect.add(new Option('Empty', '', false, !type));
+            }
+            Object.keys(WEAPON_DEFINITIONS).forEach(key => {
+                weaponSelect.add(new Option(WEAPON_DEFINITIONS[key].name, key, false, key === type));
+            });
+            row.appendChild(weaponSelect);
+            
+            const slot = { row: row, weaponSelect: weaponSelect, attachmentSelects: [] };
+            weaponSelect.addEventListener('change', () => this.buildAttachmentSelects(slot));
+            this.buildAttachmentSelects(slot);
+            
+            this.loadoutOptions.appendChild(row);
+            this.loadoutSlots.push(slot);
+        });
+    }
+    
+    /**
+     * Replace a loadout row's attachment selects with those for its chosen weapon (defaults picked)
+     */
+    buildAttachmentSelects(slot) {
+        slot.attachmentSelects.forEach(select => select.remove());
+        slot.attachmentSelects = [];
+        
+        const type = slot.weaponSelect.value;
+        if (!type) return;
+        
+        const definition = getWeaponDefinition(type);
+        const defaults = definition.attachments || [];
+        const compatible = getCompatibleAttachments(type);
+        
+        Object.keys(definition.attachmentPoints || {}).forEach(point => {
+            const select = document.createElement('select');
+            select.title = point;
+            select.add(new Option(`No ${point}`, ''));
+            
+            compatible
+                .filter(key => getAttachmentDefinition(key).slot === point)
+                .forEach(key => {
+                    select.add(new Option(getAttachmentDefinition(key).name, key, false, defaults.includes(key)));
+                });
+            
+            slot.row.appendChild(select);
+            slot.attachmentSelects.push(select);
+        });
+    }
+    
+    /**
+     * Read the loadout menu
+     * @returns {Object} { weapons, attachments }: weapon type (null if empty) and chosen attachment keys per slot
+     */
+    getLoadoutSelection() {
+        return {
+            weapons: this.loadoutSlots.map(slot => slot.weaponSelect.value || null),
+            attachments: this.loadoutSlots.map(slot => {
+                return slot.attachmentSelects.map(select => select.value).filter(key => key);
+            })
+        };
+    }
+    
+    /**
+     * Fill the menu with a checkbox per AI difficulty profile (all ticked to start with)
+     */
+    buildDifficultyMenu() {
+        this.difficultyOptions.innerHTML = '';
+        this.difficultyCheckboxes = [];
+        
+        Object.keys(AI_DIFFICULTY_PROFILES).forEach(key => {
+            const label = document.createElement('label');
+            label.className = 'difficulty-tier';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = key;
+            checkbox.checked = true;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(getDifficultyProfile(key).name));
+            
+            this.difficultyOptions.appendChild(label);
+            this.difficultyCheckboxes.push(checkbox);
+        });
+    }
+    
+    /**
+     * Read the opponent mix from the menu
+     * @returns {string[]} Ticked difficulty keys (every tier if none are ticked)
+     */
+    getDifficultySelection() {
+        const selection = this.difficultyCheckboxes
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+        
+        return selection.length > 0 ? selection : Object.keys(AI_DIFFICULTY_PROFILES);
+    }
+    
+    /**
+     * Show what the interact key would pick up, if anything
+     */
+    updatePickupPrompt(item) {
+        if (item) {
+            this.pickupPrompt.textContent = `[E] ${item.getLabel()}`;
+            this.pickupPrompt.classList.remove('hidden');
+        } else {
+            this.pickupPrompt.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Flash the hit marker over the crosshair (red for headshots)
+     */
+    showHitMarker(headshot) {
+        this.hitMarker.classList.toggle('headshot', headshot);
+        this.hitMarker.classList.remove('hidden');
+        
+        // Restart the timer so rapid hits keep the marker up
+        clearTimeout(this.hitMarkerTimeout);
+        this.hitMarkerTimeout = setTimeout(() => {
+            this.hitMarker.classList.add('hidden');
+        }, headshot ? 300 : 150);
+    }
+    
     /**
      * Update players alive counter
      */
@@ -184,6 +433,13 @@ class UI {
         // Player position
         const playerPos = player.getPosition();
         
+        // Draw the safe zone: current circle solid, next circle dashed
+        const zone = this.game.world.safeZone;
+        this.addMinimapCircle(zone.center, zone.radius, playerPos, minimapSize, '2px solid rgba(80, 130, 255, 0.9)');
+        if (zone.phaseState !== 'closed') {
+            this.addMinimapCircle(zone.nextCenter, zone.nextRadius, playerPos, minimapSize, '1px dashed #fff');
+        }
+        
         // Create dots for opponents
         opponents.forEach(opponent => {
             if (!opponent.isAlive) return;
@@ -221,13 +477,84 @@ class UI {
         });
     }
     
+    /**
+     * Draw a world-space circle on the minimap (same 100 unit scale as the dots)
+     */
+    addMinimapCircle(center, radius, playerPos, minimapSize, border) {
+        const scale = (minimapSize / 2) / 100;
+        const x = (center.x - playerPos.x) * scale + minimapSize / 2;
+        const y = (center.z - playerPos.z) * scale + minimapSize / 2;
+        const diameter = radius * 2 * scale;
+        
+        const circle = document.createElement('div');
+        circle.style.position = 'absolute';
+        circle.style.width = `${diameter}px`;
+        circle.style.height = `${diameter}px`;
+        circle.style.borderRadius = '50%';
+        circle.style.border = border;
+        circle.style.left = `${x}px`;
+        circle.style.top = `${y}px`;
+        circle.style.transform = 'translate(-50%, -50%)';
+        this.minimap.appendChild(circle);
+    }
+    
+    /**
+     * Update the safe zone countdown
+     */
+    updateZoneTimer(zone, player) {
+        const seconds = Math.ceil(zone.getTimeRemaining());
+        const time = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+        
+        if (zone.phaseState === 'waiting') {
+            this.zoneTimer.textContent = `ZONE SHRINKS IN ${time}`;
+        } else if (zone.phaseState === 'shrinking') {
+            this.zoneTimer.textContent = `ZONE SHRINKING ${time}`;
+        } else {
+            this.zoneTimer.textContent = 'ZONE CLOSED';
+        }
+        
+        // Warn when taking zone damage
+        this.zoneTimer.classList.toggle('outside', !zone.isInside(player.getPosition()));
+    }
+    
+    /**
+     * Show or hide the noise debug panel
+     */
+    setNoiseDebugVisible(visible) {
+        this.noiseDebug.classList.toggle('hidden', !visible);
+    }
+    
+    /**
+     * List the newest noise events (type, loudness radius, distance from the player,
+     * who made it and how many bots heard it) and how many bots are investigating one
+     */
+    updateNoiseDebug(noise, player, opponents) {
+        const playerPos = player.getPosition();
+        const investigating = opponents.filter(opponent => opponent.isAlive && opponent.state === 'investigating').length;
+        
+        const lines = [`NOISE: ${noise.events.length} active, ${investigating} bots investigating`];
+        noise.events.slice(-10).reverse().forEach(event => {
+            const distance = Math.round(Math.hypot(event.position.x - playerPos.x, event.position.z - playerPos.z));
+            let source = '-';
+            if (event.source === player) {
+                source = 'You';
+            } else if (event.source) {
+                source = `Player${event.source.id}`;
+            }
+            lines.push(`${event.type.toUpperCase()} r${Math.round(event.radius)} ${distance}m ${source} heard by ${event.heardBy}`);
+        });
+        
+        this.noiseDebug.textContent = lines.join('\n');
+    }
+    
     /**
      * Show game over screen
      */
-    showGameOver(rank, eliminations, accuracy) {
+    showGameOver(rank, eliminations, accuracy, headshots) {
         this.gameOverScreen.classList.remove('hidden');
         this.rankText.textContent = rank;
         this.eliminationsText.textContent = eliminations;
         this.accuracyText.textContent = accuracy;
+        this.headshotsText.textContent = headshots;
     }
 }
@@ -86,3 +86,96 @@ function formatNumber(num) {
 function easeInOutQuad(t) {
     return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
 }
+
+
+/**
+ * Intersect the segment start -> end with an axis-aligned box
+ * (anything shaped like a World obstacle: position, width, height, depth)
+ * @returns {number|null} Fraction along the segment of the first hit, or null
+ */
+function segmentBoxIntersection(start, end, box) {
+    const min = [
+        box.position.x - box.width / 2,
+        box.position.y - box.height / 2,
+        box.position.z - box.depth / 2
+    ];
+    const max = [
+        box.position.x + box.width / 2,
+        box.position.y + box.height / 2,
+        box.position.z + box.depth / 2
+    ];
+    const origin = [start.x, start.y, start.z];
+    const delta = [end.x - start.x, end.y - start.y, end.z - start.z];
+    
+    let tMin = 0;
+    let tMax = 1;
+    
+    // Slab test on each axis
+    for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(delta[axis]) < 1e-8) {
+            // Segment parallel to this slab, must already be inside it
+            if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null;
+            continue;
+        }
+        
+        let t1 = (min[axis] - origin[axis]) / delta[axis];
+        let t2 = (max[axis] - origin[axis]) / delta[axis];
+        if (t1 > t2) {
+            const swap = t1;
+            t1 = t2;
+            t2 = swap;
+        }
+        
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    
+    return tMin;
+}
+
+/**
+ * Damage at a point from a blast: linear falloff from full damage at the centre to zero at the radius
+ * Cover between the blast and the point blocks it entirely
+ */
+function getBlastDamage(center, radius, damage, point, world) {
+    const distance = point.distanceTo(center);
+    if (distance > radius) return 0;
+    
+    // Check for cover between the blast and the target
+    if (world && !world.isLineOfSightClear(center, point)) return 0;
+    
+    // Damage falls off with distance
+    return damage * (1 - (distance / radius));
+}
+
+/**
+ * Push from a blast at a point, away from the centre with the same falloff as the damage
+ * @returns {THREE.Vector3} Velocity change (zero outside the radius)
+ */
+function getBlastKnockback(center, radius, force, point) {
+    const away = point.clone().sub(center);
+    const distance = away.length();
+    if (distance > radius) return new THREE.Vector3();
+    
+    // Lift targets a little so they're thrown rather than dragged along the ground
+    if (distance < 0.01) away.set(0, 1, 0);
+    away.normalize();
+    away.y = Math.max(away.y, 0.3);
+    
+    return away.normalize().multiplyScalar(force * (1 - distance / radius));
+}
+
+/**
+ * Flash of light where something explodes
+ */
+function createExplosionFlash(scene, position, radius) {
+    const explosion = new THREE.PointLight(0xff5500, 2, radius * 2);
+    explosion.position.copy(position);
+    scene.add(explosion);
+    
+    // Remove explosion after short delay
+    setTimeout(() => {
+        scene.remove(explosion);
+    }, 100);
+}
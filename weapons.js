@@ -1,35 +1,321 @@
 /**
  * Base Weapon class for all weapons
+ * Stats, model and sounds come from a definition in weapons.json (see registerWeaponDefinitions)
  */
 class Weapon {
-    constructor(scene, camera) {
+    constructor(scene, camera, definition) {
         this.scene = scene;
         this.camera = camera;
         
         // Weapon properties
         this.name = "Base Weapon";
+        this.type = null; // Key in WEAPON_DEFINITIONS
         this.damage = 10;
         this.fireRate = 1; // shots per second
-        this.reloadTime = 2; // seconds
+        this.reloadTime = 2; // seconds, from an empty magazine
+        this.tacticalReloadTime = 2; // seconds, with rounds still in the magazine
         this.range = 100;
         this.spread = 0; // accuracy (lower is better)
         this.projectileSpeed = 100;
+        this.fireMode = 'semi'; // 'semi', 'burst' or 'auto'
+        this.fireModes = ['semi']; // Modes the player can switch between
         this.automatic = false; // automatic fire when holding trigger
+        
+        // Burst fire: rounds per trigger pull and seconds between them
+        this.burstCount = 3;
+        this.burstInterval = 0.08;
+        this.burstRemaining = 0;
+        this.burstTimer = 0;
+        
+        // Pellets per round (shotguns), spread evenly in a ring of pelletSpread degrees
+        this.pellets = 1;
+        this.pelletSpread = 0;
+        
+        // Damage by distance travelled: falls off, or rises for weapons that reward range
+        // (null = full damage at any range, see getFalloffDamage)
+        this.falloff = null;
+        
+        // Blast fired instead of a bullet (launchers): damage, radius and knockback
+        this.explosive = null;
+        
+        // Power to shoot through cover (distance through it x material resistance, see World.materials)
+        this.penetration = 0;
+        
+        // How far away shots can be heard
+        this.soundRadius = 60;
+        
+        // Where shots are reported for bots to hear, and who counts as making them (set by the carrier)
+        this.noise = null;
+        this.noiseSource = null;
+        
+        // Attachments: slot -> attachment key, and where each slot sits on the model
+        this.attachments = {};
+        this.attachmentPoints = {};
+        this.attachmentModels = {};
+        this.recoilMultiplier = 1; // Scales recoil kicks (grips, suppressors)
+        
+        // Stats before attachment modifiers
+        this.baseStats = {};
         this.zoomFOV = 65; // field of view when aiming
         
+        // Ballistics
+        this.ballisticMode = 'projectile'; // 'hitscan' (instant) or 'projectile' (travels at projectileSpeed)
+        this.bulletDrop = 0; // downward acceleration on projectiles (units/s^2)
+        
+        // Damage scale per hit zone ('head', 'body', 'limb')
+        this.damageMultipliers = Object.assign({}, DEFAULT_DAMAGE_MULTIPLIERS);
+        
+        // Recoil: camera kick per shot in degrees [vertical, horizontal], cycled while firing
+        this.recoilPattern = [[1, 0]];
+        this.recoilJitter = 0; // random extra horizontal kick (degrees)
+        this.recoilRecovery = 10; // degrees per second back towards the original aim
+        this.recoilIndex = 0;
+        this.recoilOffset = { pitch: 0, yaw: 0 }; // kick not yet recovered (radians)
+        
+        // Spread bloom: extra spread from sustained fire and movement
+        this.bloom = 0;
+        this.bloomPerShot = 0;
+        this.maxBloom = 0;
+        this.bloomRecovery = 5; // spread per second
+        this.aimSpreadMultiplier = 0.5; // spread scale while aiming
+        this.moveSpreadPenalty = 0; // extra spread at full movement speed
+        this.moveFactor = 0; // 0 = standing still, 1 = walking, 1.5 = sprinting or airborne
+        this.crouchSpreadMultiplier = 0.7; // spread scale while crouched
+        this.isAiming = false;
+        this.isCrouching = false;
+        
+        // Idle sway of the first-person model
+        this.swayAmount = 0.005;
+        this.swaySpeed = 1.5;
+        this.swayTime = 0;
+        this.modelOffset = new THREE.Vector3(0.2, -0.15, -0.3); // Model position relative to the camera
+        
         // Ammo
         this.magSize = 10;
         this.currentMag = 10;
         this.reserveAmmo = 30;
+        this.startingReserve = 30;
         this.infiniteAmmo = false;
         
+        // Sound URLs by event ('fire', 'reload')
+        this.sounds = {};
+        
         // State
         this.isEquipped = false;
-        this.isReloading = false;
         this.lastFireTime = 0;
+        this.previousFireTime = 0;
         
-        // Weapon model (will be set by child classes)
+        // Reload state: 'idle', 'tactical' (rounds left) or 'empty', advanced by game time in update
+        this.reloadState = 'idle';
+        this.reloadTimer = 0;
+        this.reloadDuration = 0;
+        
+        // Weapon model (built from the definition's parts)
         this.model = null;
+        
+        if (definition) {
+            this.applyDefinition(definition);
+            this.createModel(definition.model);
+            this.setAttachments(definition.attachments || []);
+            this.currentMag = this.magSize;
+        }
+    }
+    
+    /**
+     * Copy stats from a validated weapon definition
+     */
+    applyDefinition(definition) {
+        this.name = definition.name;
+        this.type = definition.type;
+        this.damage = definition.explosive ? definition.explosive.damage : definition.damage; // Launchers deal their blast
+        this.fireRate = definition.fireRate;
+        this.reloadTime = definition.reloadTime;
+        this.tacticalReloadTime = definition.tacticalReloadTime || definition.reloadTime;
+        this.range = definition.range;
+        this.spread = definition.spread;
+        this.projectileSpeed = definition.projectileSpeed;
+        this.fireModes = definition.fireModes || [definition.fireMode];
+        this.setFireMode(definition.fireMode);
+        
+        if (definition.burst) {
+            this.burstCount = definition.burst.count;
+            this.burstInterval = definition.burst.interval;
+        }
+        
+        if (definition.pellets) {
+            this.pellets = definition.pellets.count;
+            this.pelletSpread = definition.pellets.spread;
+        }
+        
+        this.falloff = definition.falloff || null;
+        this.explosive = definition.explosive || null;
+        this.penetration = definition.penetration || 0;
+        if (definition.soundRadius !== undefined) this.soundRadius = definition.soundRadius;
+        this.attachmentPoints = Object.assign({}, definition.attachmentPoints);
+        this.zoomFOV = definition.zoomFOV;
+        
+        // Ballistics
+        this.ballisticMode = definition.ballistics.mode;
+        this.bulletDrop = definition.ballistics.bulletDrop || 0;
+        this.damageMultipliers = Object.assign({}, DEFAULT_DAMAGE_MULTIPLIERS, definition.damageMultipliers);
+        
+        // Ammo
+        this.magSize = definition.magazine.size;
+        this.currentMag = definition.magazine.size;
+        this.startingReserve = definition.magazine.reserve;
+        this.reserveAmmo = definition.magazine.reserve;
+        
+        // Recoil, bloom and sway (optional, defaults above)
+        const recoil = definition.recoil || {};
+        if (recoil.pattern) this.recoilPattern = recoil.pattern;
+        if (recoil.jitter !== undefined) this.recoilJitter = recoil.jitter;
+        if (recoil.recovery !== undefined) this.recoilRecovery = recoil.recovery;
+        
+        const bloom = definition.bloom || {};
+        if (bloom.perShot !== undefined) this.bloomPerShot = bloom.perShot;
+        if (bloom.max !== undefined) this.maxBloom = bloom.max;
+        if (bloom.recovery !== undefined) this.bloomRecovery = bloom.recovery;
+        if (bloom.aimMultiplier !== undefined) this.aimSpreadMultiplier = bloom.aimMultiplier;
+        if (bloom.movePenalty !== undefined) this.moveSpreadPenalty = bloom.movePenalty;
+        if (bloom.crouchMultiplier !== undefined) this.crouchSpreadMultiplier = bloom.crouchMultiplier;
+        
+        const sway = definition.sway || {};
+        if (sway.amount !== undefined) this.swayAmount = sway.amount;
+        if (sway.speed !== undefined) this.swaySpeed = sway.speed;
+        
+        this.sounds = Object.assign({}, definition.sounds);
+        
+        // Remember the stats attachments modify
+        this.baseStats = {
+            zoomFOV: this.zoomFOV,
+            magSize: this.magSize,
+            spread: this.spread,
+            soundRadius: this.soundRadius
+        };
+    }
+    
+    /**
+     * Check if an attachment fits one of this weapon's slots
+     */
+    canAttach(key) {
+        const attachment = ATTACHMENT_DEFINITIONS[key];
+        return !!attachment && !!this.attachmentPoints[attachment.slot];
+    }
+    
+    /**
+     * Fit an attachment, replacing whatever was in its slot
+     * @returns {string|null} Key of the attachment that was replaced
+     */
+    attach(key) {
+        if (!this.canAttach(key)) {
+            throw new Error(`${this.name} can't take attachment "${key}"`);
+        }
+        
+        const attachment = getAttachmentDefinition(key);
+        const replaced = this.detach(attachment.slot);
+        
+        this.attachments[attachment.slot] = key;
+        
+        // Add the attachment's parts to the weapon model at its slot
+        if (this.model) {
+            const group = new THREE.Group();
+            attachment.parts.forEach(part => group.add(createModelPart(part)));
+            group.position.fromArray(this.attachmentPoints[attachment.slot]);
+            
+            this.model.add(group);
+            this.attachmentModels[attachment.slot] = group;
+        }
+        
+        this.updateAttachmentStats();
+        return replaced;
+    }
+    
+    /**
+     * Remove the attachment in a slot
+     * @returns {string|null} Key of the attachment removed
+     */
+    detach(slot) {
+        const key = this.attachments[slot];
+        if (!key) return null;
+        
+        delete this.attachments[slot];
+        if (this.attachmentModels[slot]) {
+            this.model.remove(this.attachmentModels[slot]);
+            delete this.attachmentModels[slot];
+        }
+        
+        this.updateAttachmentStats();
+        return key;
+    }
+    
+    /**
+     * Replace all attachments with the given set
+     */
+    setAttachments(keys) {
+        Object.keys(this.attachments).forEach(slot => this.detach(slot));
+        keys.forEach(key => this.attach(key));
+    }
+    
+    /**
+     * Get the keys of all fitted attachments
+     */
+    getAttachments() {
+        return Object.values(this.attachments);
+    }
+    
+    /**
+     * Recalculate stats from the base values and the fitted attachments' modifiers
+     */
+    updateAttachmentStats() {
+        let zoomFOV = this.baseStats.zoomFOV;
+        let magSize = this.baseStats.magSize;
+        let spread = this.baseStats.spread;
+        let soundRadius = this.baseStats.soundRadius;
+        let recoil = 1;
+        
+        this.getAttachments().forEach(key => {
+            const modifiers = getAttachmentDefinition(key).modifiers;
+            if (modifiers.zoomFOV !== undefined) zoomFOV = modifiers.zoomFOV;
+            if (modifiers.magSizeMultiplier !== undefined) magSize *= modifiers.magSizeMultiplier;
+            if (modifiers.spreadMultiplier !== undefined) spread *= modifiers.spreadMultiplier;
+            if (modifiers.soundRadiusMultiplier !== undefined) soundRadius *= modifiers.soundRadiusMultiplier;
+            if (modifiers.recoilMultiplier !== undefined) recoil *= modifiers.recoilMultiplier;
+        });
+        
+        this.zoomFOV = zoomFOV;
+        this.magSize = Math.max(1, Math.round(magSize));
+        this.spread = spread;
+        this.soundRadius = soundRadius;
+        this.recoilMultiplier = recoil;
+        
+        // A smaller magazine can't hold more than it fits (the extra goes back to reserve)
+        if (this.currentMag > this.magSize) {
+            this.reserveAmmo += this.currentMag - this.magSize;
+            this.currentMag = this.magSize;
+        }
+    }
+    
+    /**
+     * Build the first-person model from primitive parts
+     */
+    createModel(modelDefinition) {
+        const group = new THREE.Group();
+        
+        modelDefinition.parts.forEach(part => {
+            const mesh = createModelPart(part);
+            mesh.name = part.name || '';
+            group.add(mesh);
+        });
+        
+        // Position the whole model in view (follows the camera in updateModelTransform)
+        if (modelDefinition.position) {
+            this.modelOffset.fromArray(modelDefinition.position);
+        }
+        
+        // Save reference and add to scene
+        this.model = group;
+        this.scene.add(this.model);
+        this.model.visible = false; // Hide initially
     }
     
     /**
@@ -47,73 +333,170 @@ class Weapon {
      */
     unequip() {
         this.isEquipped = false;
+        this.isAiming = false;
+        this.cancelReload();
         if (this.model) {
             this.model.visible = false;
         }
     }
     
     /**
-     * Attempt to fire the weapon
-     * @returns {Projectile|null} The projectile if fired, null otherwise
+     * Remove the weapon model from the scene (when the weapon is dropped)
+     */
+    removeFromScene(scene) {
+        if (this.model) {
+            scene.remove(this.model);
+        }
+    }
+    
+    /**
+     * Select a fire mode and update whether holding the trigger keeps firing
+     */
+    setFireMode(mode) {
+        this.fireMode = mode;
+        this.automatic = mode === 'auto';
+        this.burstRemaining = 0;
+    }
+    
+    /**
+     * Switch to the next fire mode this weapon supports
+     */
+    cycleFireMode() {
+        const index = this.fireModes.indexOf(this.fireMode);
+        this.setFireMode(this.fireModes[(index + 1) % this.fireModes.length]);
+    }
+    
+    /**
+     * Pull the trigger
+     * @returns {Projectile[]} Projectiles fired (empty if the weapon didn't fire)
      */
     shoot() {
         // Check if equipped
-        if (!this.isEquipped) return null;
+        if (!this.isEquipped) return [];
         
-        // Check if reloading
-        if (this.isReloading) return null;
+        // Check if reloading or still finishing a burst
+        if (this.isReloading() || this.burstRemaining > 0) return [];
         
         // Check fire rate cooldown
         const now = performance.now();
-        if (now - this.lastFireTime < (1000 / this.fireRate)) return null;
+        if (now - this.lastFireTime < (1000 / this.fireRate)) return [];
         
         // Check ammo
         if (this.currentMag <= 0) {
             this.reload();
-            return null;
+            return [];
+        }
+        
+        // Burst mode fires the rest of the burst from updateBurst
+        if (this.fireMode === 'burst') {
+            this.burstRemaining = this.burstCount - 1;
+            this.burstTimer = this.burstInterval;
         }
         
-        // Update fire time
-        this.lastFireTime = now;
+        return this.fireRound();
+    }
+    
+    /**
+     * Fire the remaining rounds of a burst as their time comes up
+     * @returns {Projectile[]} Projectiles fired this frame
+     */
+    updateBurst(deltaTime) {
+        const projectiles = [];
+        if (this.burstRemaining <= 0) return projectiles;
+        
+        this.burstTimer -= deltaTime;
+        while (this.burstRemaining > 0 && this.burstTimer <= 0) {
+            // Stop the burst early if the magazine runs dry or the weapon is put away
+            if (this.currentMag <= 0 || !this.isEquipped || this.isReloading()) {
+                this.burstRemaining = 0;
+                break;
+            }
+            
+            projectiles.push(...this.fireRound());
+            this.burstRemaining--;
+            this.burstTimer += this.burstInterval;
+        }
+        
+        return projectiles;
+    }
+    
+    /**
+     * Fire one round (one or more pellets), using ammo and applying recoil
+     * @returns {Projectile[]} The round's projectiles
+     */
+    fireRound() {
+        // Update fire time (keeping the previous one for the recoil pattern)
+        this.previousFireTime = this.lastFireTime;
+        this.lastFireTime = performance.now();
         
         // Use ammo
         this.currentMag--;
         
-        // Create projectile
-        const projectile = this.createProjectile();
+        // Create one projectile per pellet around the aimed direction
+        // (sharing one record of the trigger pull, so accuracy counts it once however many pellets hit)
+        const direction = this.getShotDirection();
+        const round = { counted: false, hit: false, headshot: false };
+        const projectiles = this.getPelletDirections(direction).map(pelletDirection => {
+            return this.createProjectile(pelletDirection, round);
+        });
         
-        // Play sound
+        // Play sound, and let anyone in earshot hear it
         this.playSound();
+        if (this.noise) {
+            this.noise.emit('gunshot', this.camera.position, this.soundRadius, this.noiseSource);
+        }
         
         // Apply recoil
         this.applyRecoil();
         
-        return projectile;
+        return projectiles;
     }
     
     /**
-     * Reload the weapon
+     * Start reloading (finished by update once the reload time has passed)
      */
     reload() {
-        // Check if already reloading
-        if (this.isReloading) return;
+        // Check if already reloading, or put away
+        if (this.isReloading() || !this.isEquipped) return;
         
         // Check if magazine is full
-        if (this.currentMag === this.magSize) return;
+        if (this.currentMag >= this.magSize) return;
         
         // Check if there's reserve ammo
         if (this.reserveAmmo <= 0 && !this.infiniteAmmo) return;
         
-        // Start reloading
-        this.isReloading = true;
+        // Swapping a part-used magazine is quicker than loading an empty gun
+        this.reloadState = this.currentMag > 0 ? 'tactical' : 'empty';
+        this.reloadDuration = this.reloadState === 'tactical' ? this.tacticalReloadTime : this.reloadTime;
+        this.reloadTimer = 0;
+        this.burstRemaining = 0;
         
         // Play reload sound
-        // this.playReloadSound();
-        
-        // Complete reload after reload time
-        setTimeout(() => {
-            this.completeReload();
-        }, this.reloadTime * 1000);
+        this.playSound('reload');
+    }
+    
+    /**
+     * Check if a reload is in progress
+     */
+    isReloading() {
+        return this.reloadState !== 'idle';
+    }
+    
+    /**
+     * Get how far through the current reload the weapon is
+     * @returns {number} 0 to 1 (0 when not reloading)
+     */
+    getReloadProgress() {
+        if (!this.isReloading()) return 0;
+        return clamp(this.reloadTimer / this.reloadDuration, 0, 1);
+    }
+    
+    /**
+     * Abandon a reload in progress (the magazine is left as it was)
+     */
+    cancelReload() {
+        this.reloadState = 'idle';
+        this.reloadTimer = 0;
     }
     
     /**
@@ -136,7 +519,7 @@ class Weapon {
         }
         
         // End reloading state
-        this.isReloading = false;
+        this.cancelReload();
     }
     
     /**
@@ -144,22 +527,23 @@ class Weapon {
      */
     resetAmmo() {
         this.currentMag = this.magSize;
-        this.reserveAmmo = this.magSize * 3;
-        this.isReloading = false;
+        this.reserveAmmo = this.startingReserve;
+        this.cancelReload();
     }
     
     /**
-     * Create a projectile for this weapon
+     * Get the direction of the next shot, with spread applied
      */
-    createProjectile() {
+    getShotDirection() {
         // Calculate projectile direction with spread
         const direction = new THREE.Vector3();
         this.camera.getWorldDirection(direction);
         
         // Apply spread if any
-        if (this.spread > 0) {
+        const spread = this.getCurrentSpread();
+        if (spread > 0) {
             // Random angle within spread cone
-            const spreadRadians = THREE.MathUtils.degToRad(this.spread);
+            const spreadRadians = THREE.MathUtils.degToRad(spread);
             const theta = Math.random() * Math.PI * 2;
             const phi = Math.random() * spreadRadians;
             
@@ -175,275 +559,641 @@ class Weapon {
             direction.normalize();
         }
         
-        // Create projectile
+        return direction;
+    }
+    
+    /**
+     * Spread a round's pellets around its direction: one in the centre, the rest in a ring
+     * @returns {THREE.Vector3[]} One direction per pellet
+     */
+    getPelletDirections(direction) {
+        if (this.pellets <= 1) return [direction];
+        
+        // Axes perpendicular to the shot
+        const up = Math.abs(direction.y) > 0.99 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+        const right = new THREE.Vector3().crossVectors(direction, up).normalize();
+        const across = new THREE.Vector3().crossVectors(right, direction).normalize();
+        
+        const directions = [direction];
+        const ringCount = this.pellets - 1;
+        const rotation = Math.random() * Math.PI * 2; // Turn the pattern a little each shot
+        
+        for (let i = 0; i < ringCount; i++) {
+            const angle = rotation + (i / ringCount) * Math.PI * 2;
+            
+            // Jitter each pellet so the pattern isn't perfectly regular
+            const radius = Math.tan(THREE.MathUtils.degToRad(this.pelletSpread * randomFloat(0.7, 1.1)));
+            
+            directions.push(direction.clone()
+                .addScaledVector(right, Math.cos(angle) * radius)
+                .addScaledVector(across, Math.sin(angle) * radius)
+                .normalize());
+        }
+        
+        return directions;
+    }
+    
+    /**
+     * Create a projectile for this weapon travelling in the given direction
+     * @param {Object} [round] Record shared by the pellets of one round (see Projectile round)
+     */
+    createProjectile(direction, round = null) {
+        if (this.explosive) {
+            return new Rocket(
+                this.scene,
+                this.camera.position.clone(),
+                direction,
+                this.range,
+                this.projectileSpeed,
+                this.explosive,
+                { gravity: this.bulletDrop, round: round }
+            );
+        }
+        
         return new Projectile(
             this.scene,
             this.camera.position.clone(),
             direction,
             this.damage,
             this.range,
-            this.projectileSpeed
+            this.projectileSpeed,
+            {
+                hitscan: this.ballisticMode === 'hitscan',
+                gravity: this.bulletDrop,
+                damageMultipliers: this.damageMultipliers,
+                falloff: this.falloff,
+                penetration: this.penetration,
+                round: round
+            }
         );
     }
     
     /**
-     * Play weapon fire sound
+     * Play a weapon sound by event name
+     */
+    playSound(event = 'fire') {
+        if (this.sounds[event]) {
+            new Audio(this.sounds[event]).play().catch(() => {});
+        }
+    }
+    
+    /**
+     * Get the spread for the next shot (base plus bloom and movement, tightened while aiming or crouched)
      */
-    playSound() {
-        // To be implemented by child classes
+    getCurrentSpread() {
+        let spread = this.spread + this.bloom + this.moveSpreadPenalty * this.moveFactor;
+        if (this.isCrouching) spread *= this.crouchSpreadMultiplier;
+        return this.isAiming ? spread * this.aimSpreadMultiplier : spread;
     }
     
     /**
      * Apply recoil effect to camera
      */
     applyRecoil() {
-        // To be implemented by child classes
+        // Restart the pattern if the trigger was released for longer than two shot intervals
+        if (this.recoilIndex > 0 && performance.now() - this.previousFireTime > 2000 / this.fireRate) {
+            this.recoilIndex = 0;
+        }
+        
+        // Next kick in the pattern (the last step repeats once the pattern runs out)
+        const kick = this.recoilPattern[Math.min(this.recoilIndex, this.recoilPattern.length - 1)];
+        this.recoilIndex++;
+        
+        const pitch = THREE.MathUtils.degToRad(kick[0]) * this.recoilMultiplier;
+        const yaw = THREE.MathUtils.degToRad(kick[1] + (Math.random() * 2 - 1) * this.recoilJitter) * this.recoilMultiplier;
+        
+        this.rotateCamera(pitch, yaw);
+        this.recoilOffset.pitch += pitch;
+        this.recoilOffset.yaw += yaw;
+        
+        // Sustained fire blooms the spread
+        this.bloom = Math.min(this.maxBloom, this.bloom + this.bloomPerShot);
     }
     
     /**
-     * Update weapon state
+     * Rotate the camera up (pitch) and right (yaw) in radians
+     * Uses the same YXZ Euler order as PointerLockControls so mouse look continues from the new angle
      */
-    update(deltaTime) {
-        // Update weapon logic
-    }
-}
-
-/**
- * Pistol weapon class
- */
-class Pistol extends Weapon {
-    constructor(scene, camera) {
-        super(scene, camera);
-        
-        // Set pistol properties
-        this.name = "Pistol";
-        this.damage = 20;
-        this.fireRate = 2; // shots per second
-        this.reloadTime = 1.5; // seconds
-        this.range = 50;
-        this.spread = 2; // degrees
-        this.projectileSpeed = 100;
-        this.automatic = false;
-        this.zoomFOV = 65;
+    rotateCamera(pitch, yaw) {
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+        euler.setFromQuaternion(this.camera.quaternion);
         
-        // Ammo
-        this.magSize = 15;
-        this.currentMag = 15;
-        this.reserveAmmo = 45;
+        euler.x = clamp(euler.x + pitch, -Math.PI / 2, Math.PI / 2);
+        euler.y -= yaw;
         
-        // Create weapon model (simple placeholder)
-        this.createModel();
+        this.camera.quaternion.setFromEuler(euler);
     }
     
-    createModel() {
-        // Create a simple pistol model using primitives
-        const group = new THREE.Group();
+    /**
+     * Update weapon state
+     * @param {number} moveFactor How fast the holder is moving (0 to 1.5, see moveFactor)
+     */
+    update(deltaTime, moveFactor = 0) {
+        this.moveFactor = moveFactor;
         
-        // Barrel
-        const barrelGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.2);
-        const barrelMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 });
-        const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
-        barrel.position.z = -0.15;
-        group.add(barrel);
-        
-        // Body
-        const bodyGeometry = new THREE.BoxGeometry(0.1, 0.15, 0.2);
-        const bodyMaterial = new THREE.MeshBasicMaterial({ color: 0x222222 });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.z = -0.05;
-        group.add(body);
-        
-        // Handle
-        const handleGeometry = new THREE.BoxGeometry(0.08, 0.2, 0.1);
-        const handleMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.y = -0.15;
-        group.add(handle);
-        
-        // Position the whole model in view
-        group.position.set(0.2, -0.15, -0.3);
+        // Advance the reload on game time, so pausing pauses it too
+        if (this.isReloading()) {
+            this.reloadTimer += deltaTime;
+            if (this.reloadTimer >= this.reloadDuration) {
+                this.completeReload();
+            }
+        }
         
-        // Save reference and add to scene
-        this.model = group;
-        this.scene.add(this.model);
-        this.model.visible = false; // Hide initially
+        // Recover recoil back towards the original aim
+        const kick = Math.sqrt(this.recoilOffset.pitch * this.recoilOffset.pitch + this.recoilOffset.yaw * this.recoilOffset.yaw);
+        if (kick > 0) {
+            const recovered = Math.min(1, THREE.MathUtils.degToRad(this.recoilRecovery) * deltaTime / kick);
+            const pitch = this.recoilOffset.pitch * recovered;
+            const yaw = this.recoilOffset.yaw * recovered;
+            
+            this.rotateCamera(-pitch, -yaw);
+            this.recoilOffset.pitch -= pitch;
+            this.recoilOffset.yaw -= yaw;
+        }
+        
+        // Bloom settles when not firing
+        this.bloom = Math.max(0, this.bloom - this.bloomRecovery * deltaTime);
+        
+        // Sway faster while moving, and much less while aiming
+        this.swayTime += deltaTime * this.swaySpeed * (1 + moveFactor);
+        
+        this.updateModelTransform();
     }
     
-    applyRecoil() {
-        // Simple recoil effect (implemented in player camera controls)
+    /**
+     * Keep the first-person model in front of the camera, offset by sway
+     */
+    updateModelTransform() {
+        if (!this.model) return;
+        
+        const amount = this.swayAmount * (1 + this.moveFactor * 2) * (this.isAiming ? 0.2 : 1);
+        
+        // Figure-of-eight drift
+        const sway = new THREE.Vector3(
+            Math.sin(this.swayTime) * amount,
+            Math.sin(this.swayTime * 2) * amount * 0.5,
+            0
+        );
+        
+        this.model.position.copy(this.modelOffset).add(sway);
+        this.model.position.applyQuaternion(this.camera.quaternion).add(this.camera.position);
+        this.model.quaternion.copy(this.camera.quaternion);
     }
 }
 
 /**
- * Rifle weapon class
+ * Weapon definitions by type key, filled by registerWeaponDefinitions
  */
-class Rifle extends Weapon {
-    constructor(scene, camera) {
-        super(scene, camera);
-        
-        // Set rifle properties
-        this.name = "Assault Rifle";
-        this.damage = 15;
-        this.fireRate = 8; // shots per second
-        this.reloadTime = 2.5; // seconds
-        this.range = 100;
-        this.spread = 3; // degrees
-        this.projectileSpeed = 120;
-        this.automatic = true;
-        this.zoomFOV = 55;
-        
-        // Ammo
-        this.magSize = 30;
-        this.currentMag = 30;
-        this.reserveAmmo = 90;
-        
-        // Create weapon model
-        this.createModel();
+const WEAPON_DEFINITIONS = {};
+
+/**
+ * Fire modes a weapon definition can use
+ */
+const FIRE_MODES = ['semi', 'burst', 'auto'];
+
+/**
+ * Damage scale per hit zone, used when a weapon (or an AI projectile) doesn't set its own
+ */
+const DEFAULT_DAMAGE_MULTIPLIERS = { head: 2.0, body: 1.0, limb: 0.75 };
+
+/**
+ * Error thrown when a weapon definition fails validation
+ */
+class WeaponDefinitionError extends Error {
+    constructor(type, problems) {
+        super(`Invalid weapon definition "${type}": ${problems.join('; ')}`);
+        this.name = 'WeaponDefinitionError';
+        this.type = type;
+        this.problems = problems;
     }
+}
+
+/**
+ * Check for a finite number (schema helper shared by the definition validators)
+ */
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Check for an [x, y, z] array of numbers
+ */
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+/**
+ * Add a problem unless object[key] is a positive number
+ */
+function requirePositive(problems, object, key, label) {
+    if (!isNumber(object[key]) || object[key] <= 0) {
+        problems.push(`${label || key} must be a positive number`);
+    }
+}
+
+/**
+ * Add a problem if object[key] is set but isn't a number >= 0 (optional fields only need checking when present)
+ */
+function requireNonNegative(problems, object, key, label) {
+    if (object[key] !== undefined && (!isNumber(object[key]) || object[key] < 0)) {
+        problems.push(`${label} must be a number >= 0`);
+    }
+}
+
+/**
+ * Check a weapon definition against the schema
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateWeaponDefinition(definition) {
+    const problems = [];
     
-    createModel() {
-        // Create a simple rifle model using primitives
-        const group = new THREE.Group();
-        
-        // Barrel
-        const barrelGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.5);
-        const barrelMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 });
-        const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
-        barrel.position.z = -0.3;
-        group.add(barrel);
-        
-        // Body
-        const bodyGeometry = new THREE.BoxGeometry(0.1, 0.15, 0.3);
-        const bodyMaterial = new THREE.MeshBasicMaterial({ color: 0x222222 });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.z = -0.05;
-        group.add(body);
-        
-        // Stock
-        const stockGeometry = new THREE.BoxGeometry(0.08, 0.12, 0.2);
-        const stockMaterial = new THREE.MeshBasicMaterial({ color: 0x444444 });
-        const stock = new THREE.Mesh(stockGeometry, stockMaterial);
-        stock.position.z = 0.15;
-        group.add(stock);
-        
-        // Handle
-        const handleGeometry = new THREE.BoxGeometry(0.08, 0.2, 0.1);
-        const handleMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.y = -0.15;
-        handle.position.z = -0.05;
-        group.add(handle);
-        
-        // Magazine
-        const magGeometry = new THREE.BoxGeometry(0.08, 0.15, 0.05);
-        const magMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
-        const mag = new THREE.Mesh(magGeometry, magMaterial);
-        mag.position.y = -0.15;
-        mag.position.z = -0.05;
-        group.add(mag);
-        
-        // Position the whole model in view
-        group.position.set(0.2, -0.15, -0.3);
+    if (typeof definition !== 'object' || definition === null) {
+        return ['definition must be an object'];
+    }
+    
+    // Stats
+    if (typeof definition.name !== 'string' || definition.name.length === 0) {
+        problems.push('name must be a non-empty string');
+    }
+    // Explosive weapons deal explosive.damage instead
+    if (definition.explosive === undefined) {
+        requirePositive(problems, definition, 'damage');
+    }
+    requirePositive(problems, definition, 'fireRate');
+    requirePositive(problems, definition, 'reloadTime');
+    if (definition.tacticalReloadTime !== undefined) {
+        requirePositive(problems, definition, 'tacticalReloadTime');
+        if (isNumber(definition.tacticalReloadTime) && definition.tacticalReloadTime > definition.reloadTime) {
+            problems.push('tacticalReloadTime must not be longer than reloadTime');
+        }
+    }
+    requirePositive(problems, definition, 'range');
+    requirePositive(problems, definition, 'projectileSpeed');
+    requireNonNegative(problems, definition, 'soundRadius', 'soundRadius');
+    if (!isNumber(definition.spread) || definition.spread < 0) {
+        problems.push('spread must be a number >= 0');
+    }
+    if (!isNumber(definition.zoomFOV) || definition.zoomFOV <= 0 || definition.zoomFOV >= 180) {
+        problems.push('zoomFOV must be between 0 and 180');
+    }
+    if (!FIRE_MODES.includes(definition.fireMode)) {
+        problems.push('fireMode must be "semi", "burst" or "auto"');
+    }
+    if (definition.fireModes !== undefined) {
+        if (!Array.isArray(definition.fireModes) || !definition.fireModes.every(mode => FIRE_MODES.includes(mode))) {
+            problems.push('fireModes must be an array of "semi", "burst" and "auto"');
+        } else if (!definition.fireModes.includes(definition.fireMode)) {
+            problems.push('fireModes must include fireMode');
+        }
+    }
+    
+    // Burst and pellets
+    const usesBurst = definition.fireMode === 'burst' || (Array.isArray(definition.fireModes) && definition.fireModes.includes('burst'));
+    if (definition.burst !== undefined || usesBurst) {
+        const burst = definition.burst;
+        if (typeof burst !== 'object' || burst === null) {
+            problems.push('burst must be an object when burst fire is available');
+        } else {
+            if (!Number.isInteger(burst.count) || burst.count < 2) {
+                problems.push('burst.count must be a whole number >= 2');
+            }
+            requirePositive(problems, burst, 'interval', 'burst.interval');
+        }
+    }
+    if (definition.pellets !== undefined) {
+        const pellets = definition.pellets;
+        if (typeof pellets !== 'object' || pellets === null) {
+            problems.push('pellets must be an object');
+        } else {
+            if (!Number.isInteger(pellets.count) || pellets.count < 1) {
+                problems.push('pellets.count must be a whole number >= 1');
+            }
+            if (!isNumber(pellets.spread) || pellets.spread < 0 || pellets.spread >= 45) {
+                problems.push('pellets.spread must be between 0 and 45 degrees');
+            }
+        }
+    }
+    
+    if (definition.penetration !== undefined && (!isNumber(definition.penetration) || definition.penetration < 0)) {
+        problems.push('penetration must be a number >= 0');
+    }
+    
+    // Explosive rounds
+    const explosive = definition.explosive;
+    if (explosive !== undefined) {
+        if (typeof explosive !== 'object' || explosive === null) {
+            problems.push('explosive must be an object');
+        } else {
+            requirePositive(problems, explosive, 'damage', 'explosive.damage');
+            requirePositive(problems, explosive, 'radius', 'explosive.radius');
+            if (!isNumber(explosive.knockback) || explosive.knockback < 0) {
+                problems.push('explosive.knockback must be a number >= 0');
+            }
+            if (definition.ballistics && definition.ballistics.mode !== 'projectile') {
+                problems.push('explosive weapons must use ballistics.mode "projectile"');
+            }
+        }
+    }
+    
+    // Damage by distance: damage up to fullDamageRange, then eased linearly to the end damage at
+    // falloffEnd and held beyond it. The end damage is either minDamage (falling off, 0 to damage)
+    // or maxDamage (rising, damage or more, for weapons that reward range)
+    const falloff = definition.falloff;
+    if (falloff !== undefined) {
+        if (typeof falloff !== 'object' || falloff === null) {
+            problems.push('falloff must be an object');
+        } else {
+            if (!isNumber(falloff.fullDamageRange) || falloff.fullDamageRange < 0) {
+                problems.push('falloff.fullDamageRange must be a number >= 0');
+            }
+            if (!isNumber(falloff.falloffEnd) || falloff.falloffEnd <= falloff.fullDamageRange) {
+                problems.push('falloff.falloffEnd must be greater than falloff.fullDamageRange');
+            }
+            if ((falloff.minDamage === undefined) === (falloff.maxDamage === undefined)) {
+                problems.push('falloff must set one of minDamage or maxDamage');
+            } else if (falloff.minDamage !== undefined) {
+                if (!isNumber(falloff.minDamage) || falloff.minDamage < 0 || falloff.minDamage > definition.damage) {
+                    problems.push('falloff.minDamage must be between 0 and damage');
+                }
+            } else if (!isNumber(falloff.maxDamage) || falloff.maxDamage < definition.damage) {
+                problems.push('falloff.maxDamage must be a number >= damage');
+            }
+        }
+    }
+    
+    // Ballistics
+    const ballistics = definition.ballistics;
+    if (typeof ballistics !== 'object' || ballistics === null) {
+        problems.push('ballistics must be an object');
+    } else {
+        if (!['hitscan', 'projectile'].includes(ballistics.mode)) {
+            problems.push('ballistics.mode must be "hitscan" or "projectile"');
+        }
+        if (ballistics.bulletDrop !== undefined && (!isNumber(ballistics.bulletDrop) || ballistics.bulletDrop < 0)) {
+            problems.push('ballistics.bulletDrop must be a number >= 0');
+        }
+    }
+    
+    // Magazine
+    const magazine = definition.magazine;
+    if (typeof magazine !== 'object' || magazine === null) {
+        problems.push('magazine must be an object');
+    } else {
+        if (!Number.isInteger(magazine.size) || magazine.size < 1) {
+            problems.push('magazine.size must be a whole number >= 1');
+        }
+        if (!Number.isInteger(magazine.reserve) || magazine.reserve < 0) {
+            problems.push('magazine.reserve must be a whole number >= 0');
+        }
+    }
+    
+    // Hit zone damage
+    const multipliers = definition.damageMultipliers;
+    if (multipliers !== undefined) {
+        if (typeof multipliers !== 'object' || multipliers === null) {
+            problems.push('damageMultipliers must be an object');
+        } else {
+            Object.keys(multipliers).forEach(zone => {
+                if (!(zone in DEFAULT_DAMAGE_MULTIPLIERS)) {
+                    problems.push(`damageMultipliers.${zone} is not a hit zone (head, body or limb)`);
+                } else {
+                    requireNonNegative(problems, multipliers, zone, `damageMultipliers.${zone}`);
+                }
+            });
+        }
+    }
+    
+    // Recoil
+    const recoil = definition.recoil;
+    if (recoil !== undefined) {
+        if (typeof recoil !== 'object' || recoil === null) {
+            problems.push('recoil must be an object');
+        } else {
+            if (recoil.pattern !== undefined && (!Array.isArray(recoil.pattern) || recoil.pattern.length === 0 ||
+                !recoil.pattern.every(step => Array.isArray(step) && step.length === 2 && step.every(isNumber)))) {
+                problems.push('recoil.pattern must be a non-empty array of [vertical, horizontal] kicks');
+            }
+            requireNonNegative(problems, recoil, 'jitter', 'recoil.jitter');
+            requireNonNegative(problems, recoil, 'recovery', 'recoil.recovery');
+        }
+    }
+    
+    // Spread bloom
+    const bloom = definition.bloom;
+    if (bloom !== undefined) {
+        if (typeof bloom !== 'object' || bloom === null) {
+            problems.push('bloom must be an object');
+        } else {
+            ['perShot', 'max', 'recovery', 'aimMultiplier', 'movePenalty', 'crouchMultiplier'].forEach(key => {
+                requireNonNegative(problems, bloom, key, `bloom.${key}`);
+            });
+        }
+    }
+    
+    // Sway
+    const sway = definition.sway;
+    if (sway !== undefined) {
+        if (typeof sway !== 'object' || sway === null) {
+            problems.push('sway must be an object');
+        } else {
+            requireNonNegative(problems, sway, 'amount', 'sway.amount');
+            requireNonNegative(problems, sway, 'speed', 'sway.speed');
+        }
+    }
+    
+    // Sounds
+    if (definition.sounds !== undefined) {
+        if (typeof definition.sounds !== 'object' || definition.sounds === null) {
+            problems.push('sounds must be an object');
+        } else {
+            Object.keys(definition.sounds).forEach(key => {
+                if (typeof definition.sounds[key] !== 'string') {
+                    problems.push(`sounds.${key} must be a URL string`);
+                }
+            });
+        }
+    }
+    
+    // Model
+    const model = definition.model;
+    if (typeof model !== 'object' || model === null || !Array.isArray(model.parts) || model.parts.length === 0) {
+        problems.push('model.parts must be a non-empty array');
+    } else {
+        if (model.position !== undefined && !isVector(model.position)) {
+            problems.push('model.position must be [x, y, z]');
+        }
         
-        // Save reference and add to scene
-        this.model = group;
-        this.scene.add(this.model);
-        this.model.visible = false; // Hide initially
+        problems.push(...validateModelParts(model.parts, 'model.parts'));
     }
     
-    applyRecoil() {
-        // More significant recoil effect for automatic rifle
+    // Attachments
+    const points = definition.attachmentPoints;
+    if (points !== undefined) {
+        if (typeof points !== 'object' || points === null) {
+            problems.push('attachmentPoints must be an object');
+        } else {
+            Object.keys(points).forEach(slot => {
+                if (!ATTACHMENT_SLOTS.includes(slot)) {
+                    problems.push(`attachmentPoints.${slot} is not an attachment slot (${ATTACHMENT_SLOTS.join(', ')})`);
+                } else if (!isVector(points[slot])) {
+                    problems.push(`attachmentPoints.${slot} must be [x, y, z]`);
+                }
+            });
+        }
+    }
+    if (definition.attachments !== undefined) {
+        if (!Array.isArray(definition.attachments)) {
+            problems.push('attachments must be an array of attachment keys');
+        } else {
+            definition.attachments.forEach(key => {
+                const attachment = ATTACHMENT_DEFINITIONS[key];
+                if (!attachment) {
+                    problems.push(`attachments: unknown attachment "${key}"`);
+                } else if (!points || !points[attachment.slot]) {
+                    problems.push(`attachments: "${key}" needs an attachmentPoints.${attachment.slot}`);
+                }
+            });
+        }
     }
+    
+    return problems;
 }
 
 /**
- * Sniper weapon class
+ * Check the primitive parts of a weapon or attachment model
+ * @returns {string[]} Problems found (empty if valid)
  */
-class Sniper extends Weapon {
-    constructor(scene, camera) {
-        super(scene, camera);
-        
-        // Set sniper properties
-        this.name = "Sniper Rifle";
-        this.damage = 80;
-        this.fireRate = 0.7; // shots per second
-        this.reloadTime = 3.0; // seconds
-        this.range = 200;
-        this.spread = 0.5; // very accurate
-        this.projectileSpeed = 200;
-        this.automatic = false;
-        this.zoomFOV = 20; // high zoom
-        
-        // Ammo
-        this.magSize = 5;
-        this.currentMag = 5;
-        this.reserveAmmo = 15;
-        
-        // Create weapon model
-        this.createModel();
-    }
+function validateModelParts(parts, label) {
+    const problems = [];
     
-    createModel() {
-        // Create a simple sniper rifle model using primitives
-        const group = new THREE.Group();
+    parts.forEach((part, index) => {
+        const partLabel = `${label}[${index}]`;
         
-        // Long barrel
-        const barrelGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.7);
-        const barrelMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 });
-        const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
-        barrel.position.z = -0.4;
-        group.add(barrel);
-        
-        // Body
-        const bodyGeometry = new THREE.BoxGeometry(0.1, 0.15, 0.3);
-        const bodyMaterial = new THREE.MeshBasicMaterial({ color: 0x222222 });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.z = -0.05;
-        group.add(body);
-        
-        // Stock
-        const stockGeometry = new THREE.BoxGeometry(0.08, 0.12, 0.25);
-        const stockMaterial = new THREE.MeshBasicMaterial({ color: 0x444444 });
-        const stock = new THREE.Mesh(stockGeometry, stockMaterial);
-        stock.position.z = 0.2;
-        group.add(stock);
-        
-        // Scope
-        const scopeGeometry = new THREE.CylinderGeometry(0.03, 0.04, 0.1, 16);
-        const scopeMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
-        const scope = new THREE.Mesh(scopeGeometry, scopeMaterial);
-        scope.rotation.x = Math.PI / 2; // Rotate to align with barrel
-        scope.position.y = 0.1;
-        scope.position.z = -0.2;
-        group.add(scope);
-        
-        // Handle
-        const handleGeometry = new THREE.BoxGeometry(0.08, 0.2, 0.1);
-        const handleMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.y = -0.15;
-        handle.position.z = -0.05;
-        group.add(handle);
-        
-        // Position the whole model in view
-        group.position.set(0.2, -0.15, -0.3);
+        if (part.shape === 'box') {
+            if (!isVector(part.size) || !part.size.every(value => value > 0)) {
+                problems.push(`${partLabel}.size must be [width, height, depth] with positive values`);
+            }
+        } else if (part.shape === 'cylinder') {
+            requirePositive(problems, part, 'radiusTop', `${partLabel}.radiusTop`);
+            requirePositive(problems, part, 'radiusBottom', `${partLabel}.radiusBottom`);
+            requirePositive(problems, part, 'height', `${partLabel}.height`);
+        } else if (part.shape === 'sphere') {
+            requirePositive(problems, part, 'radius', `${partLabel}.radius`);
+        } else {
+            problems.push(`${partLabel}.shape must be "box", "cylinder" or "sphere"`);
+        }
         
-        // Save reference and add to scene
-        this.model = group;
-        this.scene.add(this.model);
-        this.model.visible = false; // Hide initially
+        if (part.position !== undefined && !isVector(part.position)) {
+            problems.push(`${partLabel}.position must be [x, y, z]`);
+        }
+        if (part.rotation !== undefined && !isVector(part.rotation)) {
+            problems.push(`${partLabel}.rotation must be [x, y, z] in radians`);
+        }
+        if (typeof part.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(part.color)) {
+            problems.push(`${partLabel}.color must be a hex colour like "#333333"`);
+        }
+    });
+    
+    return problems;
+}
+
+/**
+ * Validate and register weapon definitions (an object keyed by weapon type)
+ * @throws {WeaponDefinitionError} On the first invalid definition
+ */
+function registerWeaponDefinitions(definitions) {
+    Object.keys(definitions).forEach(type => {
+        const problems = validateWeaponDefinition(definitions[type]);
+        if (problems.length > 0) {
+            throw new WeaponDefinitionError(type, problems);
+        }
+    });
+    
+    // Only register once everything is known to be valid
+    Object.keys(definitions).forEach(type => {
+        WEAPON_DEFINITIONS[type] = Object.assign({ type: type }, definitions[type]);
+    });
+}
+
+/**
+ * Fetch weapon definitions from a JSON file and register them
+ */
+function loadWeaponDefinitions(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load weapon definitions from ${url} (${response.status})`);
+            }
+            return response.json();
+        })
+        .then(definitions => registerWeaponDefinitions(definitions));
+}
+
+/**
+ * Get a registered weapon definition
+ */
+function getWeaponDefinition(type) {
+    const definition = WEAPON_DEFINITIONS[type];
+    if (!definition) {
+        throw new Error(`Unknown weapon type "${type}"`);
     }
+    return definition;
+}
+
+/**
+ * Create a weapon from its registered definition
+ */
+function createWeapon(type, scene, camera) {
+    return new Weapon(scene, camera, getWeaponDefinition(type));
+}
+
+/**
+ * Evaluate a damage falloff curve at a distance
+ * Full damage up to falloff.fullDamageRange, easing linearly to the end damage at falloff.falloffEnd:
+ * falloff.minDamage for a curve that falls off, or falloff.maxDamage for one that rises with range
+ * @param {Object|null} falloff - { fullDamageRange, falloffEnd, minDamage or maxDamage }, or null for no falloff
+ */
+function getFalloffDamage(damage, falloff, distance) {
+    if (!falloff) return damage;
     
-    applyRecoil() {
-        // Significant recoil for sniper rifle
+    const endDamage = falloff.maxDamage !== undefined ? falloff.maxDamage : falloff.minDamage;
+    const t = clamp((distance - falloff.fullDamageRange) / (falloff.falloffEnd - falloff.fullDamageRange), 0, 1);
+    return lerp(damage, endDamage, t);
+}
+
+/**
+ * Build a mesh for one model part of a weapon definition
+ */
+function createModelPart(part) {
+    let geometry;
+    if (part.shape === 'box') {
+        geometry = new THREE.BoxGeometry(part.size[0], part.size[1], part.size[2]);
+    } else if (part.shape === 'cylinder') {
+        geometry = new THREE.CylinderGeometry(part.radiusTop, part.radiusBottom, part.height, part.segments || 16);
+    } else {
+        geometry = new THREE.SphereGeometry(part.radius, part.segments || 8, part.segments || 8);
     }
+    
+    const material = new THREE.MeshBasicMaterial({ color: new THREE.Color(part.color) });
+    const mesh = new THREE.Mesh(geometry, material);
+    
+    if (part.position) mesh.position.fromArray(part.position);
+    if (part.rotation) mesh.rotation.fromArray(part.rotation);
+    
+    return mesh;
 }
 
 /**
  * Projectile class for bullets and other projectiles
  */
 class Projectile {
-    constructor(scene, position, direction, damage, range, speed) {
+    /**
+     * @param {Object} options - hitscan, gravity (bullet drop), owner (entity to ignore on hit tests)
+     *                            damageMultipliers (per hit zone), falloff (damage by distance)
+     *                            penetration (power to shoot through cover) and round (record shared
+     *                            by every pellet of one trigger pull, for the player's accuracy stats)
+     */
+    constructor(scene, position, direction, damage, range, speed, options = {}) {
         this.scene = scene;
         
         // Create projectile mesh
@@ -454,6 +1204,10 @@ class Projectile {
         // Set initial position and direction
         this.mesh.position.copy(position);
         this.direction = direction.normalize();
+        this.velocity = this.direction.clone().multiplyScalar(speed);
+        
+        // Start of the segment covered during the last update (swept collision)
+        this.previousPosition = position.clone();
         
         // Set properties
         this.damage = damage;
@@ -462,6 +1216,19 @@ class Projectile {
         this.lifetime = range / speed; // Calculate lifetime based on range and speed
         this.distance = 0;
         
+        // Ballistics
+        this.hitscan = options.hitscan || false;
+        this.gravity = options.gravity || 0;
+        this.owner = options.owner || null;
+        this.damageMultipliers = options.damageMultipliers || DEFAULT_DAMAGE_MULTIPLIERS;
+        this.falloff = options.falloff || null;
+        this.round = options.round || null;
+        this.spent = false; // Set once the projectile has hit something
+        
+        // Penetration power left, and where the round came out of cover (distance travelled, damage kept)
+        this.penetration = options.penetration || 0;
+        this.penetrations = [];
+        
         // Add tracer effect (simple line)
         const tracerGeometry = new THREE.BufferGeometry().setFromPoints([
             new THREE.Vector3(0, 0, 0),
@@ -481,23 +1248,90 @@ class Projectile {
     
     /**
      * Update projectile position
+     * The segment from previousPosition to the new position is what hit tests sweep
      */
     update(deltaTime) {
-        // Calculate movement this frame
-        const moveDistance = this.speed * deltaTime;
+        if (this.spent) return false;
         
-        // Update position
-        this.mesh.position.add(this.direction.clone().multiplyScalar(moveDistance));
-        this.tracer.position.copy(this.mesh.position);
+        this.previousPosition.copy(this.mesh.position);
+        
+        if (this.hitscan) {
+            // Hitscan rounds cover their whole range in a single step
+            this.mesh.position.add(this.direction.clone().multiplyScalar(this.range));
+            this.distance = this.range;
+            this.lifetime = 0;
+        } else {
+            // Apply bullet drop
+            this.velocity.y -= this.gravity * deltaTime;
+            
+            // Calculate movement this frame
+            const movement = this.velocity.clone().multiplyScalar(deltaTime);
+            this.mesh.position.add(movement);
+            
+            // Update distance traveled and lifetime
+            this.distance += movement.length();
+            this.lifetime -= deltaTime;
+            
+            // Keep the tracer pointing along the (dropping) flight path
+            if (this.gravity > 0) {
+                this.alignWithDirection(this.tracer, this.velocity.clone().normalize());
+            }
+        }
         
-        // Update distance traveled and lifetime
-        this.distance += moveDistance;
-        this.lifetime -= deltaTime;
+        this.tracer.position.copy(this.mesh.position);
         
         // Return false if projectile has reached its range
         return this.lifetime > 0;
     }
     
+    /**
+     * Stop the projectile at an impact point on its last segment
+     */
+    stopAt(point) {
+        // Don't count the part of the segment past the impact
+        this.distance -= this.mesh.position.distanceTo(point);
+        
+        this.mesh.position.copy(point);
+        this.tracer.position.copy(point);
+        this.spent = true;
+    }
+    
+    /**
+     * Record passing through an obstacle, moving out past the exit if it lies beyond this frame's segment
+     * @returns {boolean} True if the projectile was moved (the rest of its path is checked next frame)
+     */
+    penetrate(exit, cost, damageRetained) {
+        this.penetration -= cost;
+        
+        // How far past the current position the exit is (negative if it is behind it)
+        const beyond = exit.clone().sub(this.mesh.position).dot(this.direction);
+        this.penetrations.push({ distance: this.distance + beyond, damageRetained: damageRetained });
+        
+        if (beyond <= 0) return false;
+        
+        // Step just clear of the surface so next frame's sweep doesn't start on it
+        this.mesh.position.copy(exit).addScaledVector(this.direction, 0.01);
+        this.tracer.position.copy(this.mesh.position);
+        this.distance += beyond + 0.01;
+        return true;
+    }
+    
+    /**
+     * Get the damage for a hit at the distance travelled so far (call after stopAt)
+     * Cover the round went through before reaching the hit point reduces it
+     */
+    getDamage() {
+        let damage = getFalloffDamage(this.damage, this.falloff, this.distance);
+        
+        this.penetrations.forEach(penetration => {
+            if (penetration.distance <= this.distance) {
+                damage *= penetration.damageRetained;
+            }
+        });
+        
+        return damage;
+    }
+    
     /**
      * Get current position
      */
@@ -523,3 +1357,80 @@ class Projectile {
         obj.quaternion.copy(quaternion);
     }
 }
+
+/**
+ * Slow, visible rocket that explodes on contact, damaging and pushing everyone in its blast
+ * Detonation is resolved by Game.checkCollisions (it goes off at the end of its range too)
+ */
+class Rocket extends Projectile {
+    /**
+     * @param {Object} explosive - damage, radius and knockback of the blast
+     */
+    constructor(scene, position, direction, range, speed, explosive, options = {}) {
+        super(scene, position, direction, explosive.damage, range, speed, options);
+        
+        // Blast
+        this.radius = explosive.radius;
+        this.knockback = explosive.knockback;
+        this.soundRadius = 120; // How far away the blast can be heard
+        this.exploded = false;
+        
+        // Swap the bullet for a rocket body, and leave a longer, brighter trail
+        this.mesh.geometry = new THREE.CylinderGeometry(0.06, 0.08, 0.4, 8);
+        this.mesh.geometry.rotateX(Math.PI / 2); // Point along +z for alignWithDirection
+        this.mesh.material.color.set(0x556b2f);
+        this.alignWithDirection(this.mesh, this.direction);
+        
+        this.tracer.geometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, 0, -1.5)
+        ]);
+        this.tracer.material.color.set(0xffaa33);
+        this.tracer.material.opacity = 0.8;
+    }
+    
+    /**
+     * Update rocket position, keeping the body pointed along its flight path
+     */
+    update(deltaTime) {
+        const moving = super.update(deltaTime);
+        this.alignWithDirection(this.mesh, this.velocity.clone().normalize());
+        return moving;
+    }
+    
+    /**
+     * Detonate where the rocket is now
+     */
+    explode() {
+        if (this.exploded) return;
+        
+        this.exploded = true;
+        this.spent = true;
+        
+        // Back off the impact surface so the wall that was hit doesn't block its own blast
+        this.mesh.position.addScaledVector(this.velocity.clone().normalize(), -0.1);
+        
+        createExplosionFlash(this.scene, this.mesh.position, this.radius);
+    }
+    
+    /**
+     * Calculate damage based on distance from the blast (same falloff as grenades)
+     */
+    getDamageAt(point, world) {
+        if (!this.exploded) return 0;
+        
+        return getBlastDamage(this.mesh.position, this.radius, this.damage, point, world);
+    }
+    
+    /**
+     * Velocity change for anything at a point when the rocket goes off
+     */
+    getKnockbackAt(point, world) {
+        if (!this.exploded) return new THREE.Vector3();
+        
+        // Cover that stops the damage stops the push too
+        if (world && !world.isLineOfSightClear(this.mesh.position, point)) return new THREE.Vector3();
+        
+        return getBlastKnockback(this.mesh.position, this.radius, this.knockback, point);
+    }
+}
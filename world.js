@@ -9,13 +9,176 @@ class World {
         this.worldSize = 500; // Size of the world in units
         this.groundSize = 500; // Size of the ground plane
         
-        // Store all obstacles
+        // Store all obstacles ({ type: 'box', kind: 'boundary' | 'building' | 'barrier', material,
+        // position, width, height, depth })
         this.obstacles = [];
         
+        // How hard each material is to shoot through: penetration power used per unit of material
+        // a round passes through, and the share of its damage left once it is through
+        this.materials = {
+            wood: { resistance: 1, damageRetained: 0.75 },
+            metal: { resistance: 3, damageRetained: 0.5 },
+            concrete: { resistance: 6, damageRetained: 0.4 }
+        };
+        
+        // Exit marks left by rounds that went through something (oldest removed first)
+        this.impacts = [];
+        this.maxImpacts = 50;
+        
+        // Lingering grenade effects (SmokeCloud, FireArea), updated by Game
+        this.areaEffects = [];
+        
+        // Cover spots are this far out from an obstacle's wall (clear of the cells the
+        // navigation grid blocks around it)
+        this.coverStandOff = 1.5;
+        
+        // Ladders up one wall of each building, so their roofs can be reached from the ground:
+        // { position (foot of the ladder at the wall), normal (out of the wall), width, top }
+        this.ladders = [];
+        this.ladderReach = 0.6; // How far out from the wall a ladder can be grabbed
+        this.obstacleVersion = 0; // Bumped whenever obstacles are added or removed
+        
+        // Spatial index over obstacles, shared by collision, projectile and visibility queries
+        this.obstacleIndex = new SpatialHash(10);
+        
         // Create the basic world
         this.createGround();
         this.createBoundary();
         this.createObstacles();
+        
+        // Bake the AI navigation grid (rebuilds itself when obstacleVersion changes)
+        this.navigation = new NavigationGrid(this);
+        
+        // Shrinking safe zone (updated and reset by Game)
+        this.safeZone = new SafeZone(scene, this.worldSize);
+        
+        // Loot scattered around the buildings (spawned by Game at match start)
+        this.loot = new LootManager(scene, this);
+        
+        // Noises bots can hear (updated and cleared by Game, heard through AiManager)
+        this.noise = new NoiseSystem(scene);
+    }
+    
+    /**
+     * Add an obstacle used for collision, projectiles and navigation
+     */
+    addObstacle(obstacle) {
+        this.obstacles.push(obstacle);
+        this.indexObstacle(obstacle);
+        this.obstacleVersion++;
+        return obstacle;
+    }
+    
+    /**
+     * Put a ladder up a random wall of a building, reaching the top of its roof
+     * (scenery only: it doesn't block movement, shots or sight)
+     */
+    addLadder(obstacle, material) {
+        const normals = [
+            new THREE.Vector3(1, 0, 0),
+            new THREE.Vector3(-1, 0, 0),
+            new THREE.Vector3(0, 0, 1),
+            new THREE.Vector3(0, 0, -1)
+        ];
+        const side = randomInt(0, 3);
+        const normal = normals[side];
+        const halfExtent = side < 2 ? obstacle.width / 2 : obstacle.depth / 2;
+        
+        const ladder = {
+            position: new THREE.Vector3(obstacle.position.x, 0, obstacle.position.z).addScaledVector(normal, halfExtent),
+            normal: normal,
+            width: 0.8,
+            top: obstacle.position.y + obstacle.height / 2
+        };
+        this.ladders.push(ladder);
+        
+        // Two rails with a rung every 0.4 units, standing clear of the roof's overhang
+        const mesh = new THREE.Group();
+        const railGeometry = new THREE.BoxGeometry(0.08, ladder.top, 0.08);
+        [-1, 1].forEach(side => {
+            const rail = new THREE.Mesh(railGeometry, material);
+            rail.position.set(side * ladder.width / 2, ladder.top / 2, 0);
+            rail.castShadow = true;
+            mesh.add(rail);
+        });
+        
+        const rungGeometry = new THREE.BoxGeometry(ladder.width, 0.05, 0.05);
+        for (let y = 0.3; y < ladder.top; y += 0.4) {
+            const rung = new THREE.Mesh(rungGeometry, material);
+            rung.position.y = y;
+            mesh.add(rung);
+        }
+        
+        // Local x runs along the wall, local z out of it
+        mesh.position.copy(ladder.position).addScaledVector(normal, 0.3);
+        mesh.rotation.y = Math.atan2(normal.x, normal.z);
+        this.scene.add(mesh);
+        
+        return ladder;
+    }
+    
+    /**
+     * Find a ladder close enough to climb, from the ground beside it or from the roof above it
+     * @param {THREE.Vector3} feet - Bottom of the climber's collider
+     * @returns {Object|null} The ladder
+     */
+    findLadder(feet, radius) {
+        for (const ladder of this.ladders) {
+            if (feet.y > ladder.top + 0.2) continue;
+            
+            const dx = feet.x - ladder.position.x;
+            const dz = feet.z - ladder.position.z;
+            const out = dx * ladder.normal.x + dz * ladder.normal.z;
+            const along = dx * ladder.normal.z - dz * ladder.normal.x;
+            
+            if (Math.abs(out) <= radius + this.ladderReach && Math.abs(along) <= ladder.width / 2 + radius / 2) {
+                return ladder;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Remove an obstacle
+     */
+    removeObstacle(obstacle) {
+        const index = this.obstacles.indexOf(obstacle);
+        if (index === -1) return;
+        
+        this.obstacles.splice(index, 1);
+        this.obstacleVersion++;
+        
+        // Rebuild the index from scratch (removals are rare)
+        this.obstacleIndex.clear();
+        this.obstacles.forEach(remaining => this.indexObstacle(remaining));
+    }
+    
+    /**
+     * Add an obstacle's footprint to the spatial index
+     */
+    indexObstacle(obstacle) {
+        this.obstacleIndex.insert(
+            obstacle,
+            obstacle.position.x - obstacle.width / 2,
+            obstacle.position.z - obstacle.depth / 2,
+            obstacle.position.x + obstacle.width / 2,
+            obstacle.position.z + obstacle.depth / 2
+        );
+    }
+    
+    /**
+     * Get obstacles that may overlap a circle around a position
+     */
+    getObstaclesNear(position, radius) {
+        return this.obstacleIndex.queryRadius(position, radius);
+    }
+    
+    /**
+     * Get obstacles that may be crossed by the segment start -> end
+     */
+    getObstaclesAlongSegment(start, end) {
+        return this.obstacleIndex.querySegment(start, end);
     }
     
     /**
@@ -70,8 +233,10 @@ class World {
         northWall.position.set(0, wallHeight / 2, -boundarySize);
         northWall.castShadow = true;
         this.scene.add(northWall);
-        this.obstacles.push({
+        this.addObstacle({
             type: 'box',
+            kind: 'boundary',
+            material: 'concrete',
             position: northWall.position.clone(),
             width: this.worldSize,
             height: wallHeight,
@@ -86,8 +251,10 @@ class World {
         southWall.position.set(0, wallHeight / 2, boundarySize);
         southWall.castShadow = true;
         this.scene.add(southWall);
-        this.obstacles.push({
+        this.addObstacle({
             type: 'box',
+            kind: 'boundary',
+            material: 'concrete',
             position: southWall.position.clone(),
             width: this.worldSize,
             height: wallHeight,
@@ -102,8 +269,10 @@ class World {
         eastWall.position.set(boundarySize, wallHeight / 2, 0);
         eastWall.castShadow = true;
         this.scene.add(eastWall);
-        this.obstacles.push({
+        this.addObstacle({
             type: 'box',
+            kind: 'boundary',
+            material: 'concrete',
             position: eastWall.position.clone(),
             width: wallThickness,
             height: wallHeight,
@@ -118,8 +287,10 @@ class World {
         westWall.position.set(-boundarySize, wallHeight / 2, 0);
         westWall.castShadow = true;
         this.scene.add(westWall);
-        this.obstacles.push({
+        this.addObstacle({
             type: 'box',
+            kind: 'boundary',
+            material: 'concrete',
             position: westWall.position.clone(),
             width: wallThickness,
             height: wallHeight,
@@ -150,6 +321,12 @@ class World {
             metalness: 0.1
         });
         
+        const metalBarrierMaterial = new THREE.MeshStandardMaterial({
+            color: 0x667788,
+            roughness: 0.4,
+            metalness: 0.7
+        });
+        
         // Create a few buildings
         const numBuildings = 25;
         for (let i = 0; i < numBuildings; i++) {
@@ -193,14 +370,19 @@ class World {
             // Add to scene
             this.scene.add(building);
             
-            // Add to obstacles array for collision detection
-            this.obstacles.push({
+            // Add to obstacles array for collision detection (up to the top of the roof,
+            // so anyone who climbs up stands on it rather than in it)
+            const obstacle = this.addObstacle({
                 type: 'box',
-                position: new THREE.Vector3(x, height / 2, z),
+                kind: 'building',
+                material: 'concrete',
+                position: new THREE.Vector3(x, (height + 1) / 2, z),
                 width: width,
-                height: height,
+                height: height + 1,
                 depth: depth
             });
+            
+            this.addLadder(obstacle, metalBarrierMaterial);
         }
         
         // Create some barriers and smaller obstacles
@@ -215,10 +397,13 @@ class World {
             const x = (Math.random() - 0.5) * (this.worldSize - width);
             const z = (Math.random() - 0.5) * (this.worldSize - depth);
             
+            // Most barriers are wooden crates, the rest metal
+            const material = Math.random() < 0.7 ? 'wood' : 'metal';
+            
             // Create barrier
             const barrier = new THREE.Mesh(
                 new THREE.BoxGeometry(width, height, depth),
-                barrierMaterial
+                material === 'wood' ? barrierMaterial : metalBarrierMaterial
             );
             barrier.position.set(x, height / 2, z);
             barrier.castShadow = true;
@@ -228,8 +413,10 @@ class World {
             this.scene.add(barrier);
             
             // Add to obstacles array
-            this.obstacles.push({
+            this.addObstacle({
                 type: 'box',
+                kind: 'barrier',
+                material: material,
                 position: barrier.position.clone(),
                 width: width,
                 height: height,
@@ -243,7 +430,7 @@ class World {
      */
     isPositionValid(position, radius = 0.5) {
         // Check each obstacle
-        for (const obstacle of this.obstacles) {
+        for (const obstacle of this.getObstaclesNear(position, radius)) {
             if (obstacle.type === 'box') {
                 // Simplified box collision check
                 const dx = Math.abs(position.x - obstacle.position.x) - (obstacle.width / 2 + radius);
@@ -277,7 +464,7 @@ class World {
         }
         
         // Check collision with obstacles
-        for (const obstacle of this.obstacles) {
+        for (const obstacle of this.getObstaclesNear(position, radius + movement.length())) {
             if (obstacle.type === 'box') {
                 // Check X axis collision
                 const testPosition = position.clone();
@@ -304,8 +491,10 @@ class World {
                     result.blocked.z = true;
                 }
                 
-                // Check Y axis collision (only if falling)
-                if (movement.y < 0) {
+                // Check Y axis collision (only if falling, and not for obstacles overhead,
+                // which are walked or crouched under rather than climbed onto)
+                const overhead = obstacle.position.y - obstacle.height / 2 > position.y;
+                if (movement.y < 0 && !overhead) {
                     testPosition.z = position.z;
                     testPosition.y = position.y + movement.y;
                     
@@ -323,14 +512,206 @@ class World {
         return result;
     }
     
+    /**
+     * Find the first obstacle (or the ground) along the segment start -> end
+     * @returns {Object|null} { point, fraction, obstacle } of the nearest hit, obstacle is null for the ground
+     */
+    raycast(start, end) {
+        let nearestFraction = Infinity;
+        let nearestObstacle = null;
+        
+        // Check each obstacle
+        for (const obstacle of this.getObstaclesAlongSegment(start, end)) {
+            if (obstacle.type === 'box') {
+                const fraction = segmentBoxIntersection(start, end, obstacle);
+                if (fraction !== null && fraction < nearestFraction) {
+                    nearestFraction = fraction;
+                    nearestObstacle = obstacle;
+                }
+            }
+        }
+        
+        // Check the ground plane
+        if (end.y <= 0 && start.y > 0) {
+            const fraction = start.y / (start.y - end.y);
+            if (fraction < nearestFraction) {
+                nearestFraction = fraction;
+                nearestObstacle = null;
+            }
+        }
+        
+        if (nearestFraction === Infinity) return null;
+        
+        const point = start.clone().lerp(end, nearestFraction);
+        
+        return {
+            point: point,
+            fraction: nearestFraction,
+            obstacle: nearestObstacle,
+            normal: nearestObstacle ? this.getSurfaceNormal(nearestObstacle, point) : new THREE.Vector3(0, 1, 0)
+        };
+    }
+    
+    /**
+     * Get the outward normal of the box face closest to a point on its surface
+     */
+    getSurfaceNormal(obstacle, point) {
+        // Offset from the box centre, relative to its half extents
+        const rx = (point.x - obstacle.position.x) / (obstacle.width / 2);
+        const ry = (point.y - obstacle.position.y) / (obstacle.height / 2);
+        const rz = (point.z - obstacle.position.z) / (obstacle.depth / 2);
+        
+        // The face hit is on the axis the point is furthest out along
+        if (Math.abs(rx) >= Math.abs(ry) && Math.abs(rx) >= Math.abs(rz)) {
+            return new THREE.Vector3(Math.sign(rx), 0, 0);
+        }
+        if (Math.abs(ry) >= Math.abs(rz)) {
+            return new THREE.Vector3(0, Math.sign(ry), 0);
+        }
+        return new THREE.Vector3(0, 0, Math.sign(rz));
+    }
+    
+    /**
+     * Check if anything blocks the straight line between two points
+     */
+    isLineOfSightClear(from, to) {
+        return this.raycast(from, to) === null;
+    }
+    
+    /**
+     * Find the best spot to hide from a threat behind one of the obstacles near a position
+     * Each obstacle offers one candidate, just off its far side on the line from the threat through
+     * its centre. Candidates must be reachable, inside the safe zone and hide a standing head from
+     * the threat; the closest wins, with spots that mean running towards the threat penalised
+     * @returns {THREE.Vector3|null} Eye-height position, or null if there is no cover in range
+     */
+    findCoverPoint(from, threat, maxDistance, eyeHeight = 1.7) {
+        const halfSize = this.worldSize / 2;
+        const threatDistance = from.distanceTo(threat);
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (const obstacle of this.getObstaclesNear(from, maxDistance)) {
+            if (obstacle.type !== 'box' || obstacle.kind === 'boundary') continue;
+            
+            // Has to stand on the ground (not an overhang)
+            if (obstacle.position.y - obstacle.height / 2 > 0.5) continue;
+            
+            // Direction from the threat through the obstacle
+            const away = new THREE.Vector3(obstacle.position.x - threat.x, 0, obstacle.position.z - threat.z);
+            if (away.lengthSq() < 0.01) continue;
+            away.normalize();
+            
+            // Distance from the centre to the wall along that direction, plus room to stand
+            const toSideX = Math.abs(away.x) > 1e-6 ? obstacle.width / 2 / Math.abs(away.x) : Infinity;
+            const toSideZ = Math.abs(away.z) > 1e-6 ? obstacle.depth / 2 / Math.abs(away.z) : Infinity;
+            const reach = Math.min(toSideX, toSideZ) + this.coverStandOff;
+            
+            const point = new THREE.Vector3(
+                obstacle.position.x + away.x * reach,
+                eyeHeight,
+                obstacle.position.z + away.z * reach
+            );
+            
+            const travel = Math.hypot(point.x - from.x, point.z - from.z);
+            if (travel > maxDistance || Math.abs(point.x) > halfSize || Math.abs(point.z) > halfSize) continue;
+            if (!this.isPositionValid(point) || !this.navigation.isWalkable(point) || !this.safeZone.isInside(point)) continue;
+            
+            // Only counts if it actually hides us
+            if (this.isLineOfSightClear(threat, point)) continue;
+            
+            const score = travel + Math.max(0, threatDistance - point.distanceTo(threat)) * 2;
+            if (score < bestScore) {
+                best = point;
+                bestScore = score;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Check if one point can see another: nothing solid in the way and no smoke hiding it
+     */
+    isVisionClear(from, to) {
+        for (const effect of this.areaEffects) {
+            if (effect instanceof SmokeCloud && effect.blocksLine(from, to)) return false;
+        }
+        return this.isLineOfSightClear(from, to);
+    }
+    
+    /**
+     * Add a lingering grenade effect
+     */
+    addAreaEffect(effect) {
+        this.areaEffects.push(effect);
+    }
+    
+    /**
+     * Advance area effects, removing any that have run out
+     */
+    updateAreaEffects(deltaTime) {
+        for (let i = this.areaEffects.length - 1; i >= 0; i--) {
+            const effect = this.areaEffects[i];
+            if (!effect.update(deltaTime)) {
+                effect.removeFromScene(this.scene);
+                this.areaEffects.splice(i, 1);
+            }
+        }
+    }
+    
+    /**
+     * Remove all area effects (at match start)
+     */
+    clearAreaEffects() {
+        this.areaEffects.forEach(effect => effect.removeFromScene(this.scene));
+        this.areaEffects = [];
+    }
+    
+    /**
+     * Get the fires a position is standing in
+     */
+    getFiresAt(position) {
+        return this.areaEffects.filter(effect => effect instanceof FireArea && effect.isInside(position));
+    }
+    
     /**
      * Check if a projectile collides with any obstacle
+     * Bullets are swept along the segment they covered this frame and stopped at the impact point,
+     * unless they have the penetration power left to go through the obstacle
+     * @param {THREE.Vector3} [limit] Only sweep up to here (where the round reaches a target)
      */
-    checkProjectileCollision(projectile) {
+    checkProjectileCollision(projectile, limit = null) {
+        if (projectile.previousPosition) {
+            const end = limit || projectile.getPosition();
+            let start = projectile.previousPosition;
+            
+            // Each pass either stops the round or carries it out the far side of one obstacle
+            for (let passes = 0; passes < 8; passes++) {
+                const hit = this.raycast(start, end);
+                if (!hit) return false;
+                
+                const exit = hit.obstacle ? this.penetrate(projectile, hit, end) : null;
+                if (!exit) {
+                    projectile.stopAt(hit.point);
+                    return true;
+                }
+                
+                // Came out beyond this frame's segment, so the rest is checked next frame
+                if (exit.moved) return false;
+                
+                // Carry on just past the exit so the same face isn't hit again
+                start = exit.point.clone().add(end.clone().sub(exit.point).normalize().multiplyScalar(0.01));
+            }
+            
+            projectile.stopAt(start);
+            return true;
+        }
+        
         const position = projectile.getPosition();
         
         // Check each obstacle
-        for (const obstacle of this.obstacles) {
+        for (const obstacle of this.getObstaclesNear(position, 0)) {
             if (obstacle.type === 'box') {
                 // Simple box collision check
                 const dx = Math.abs(position.x - obstacle.position.x) - (obstacle.width / 2);
@@ -350,4 +731,55 @@ class World {
         
         return false; // No collision
     }
+    
+    /**
+     * Try to push a projectile through the obstacle it just hit
+     * @returns {Object|null} { point, moved } where the round came out and whether it was carried past the
+     *                        end of its segment, or null if it doesn't have the power to get through
+     */
+    penetrate(projectile, hit, end) {
+        const obstacle = hit.obstacle;
+        const material = this.materials[obstacle.material];
+        if (!material || !projectile.penetration) return null;
+        
+        // Find the far side by casting back from a point well beyond the box
+        const direction = end.clone().sub(hit.point);
+        if (direction.lengthSq() < 1e-8) return null;
+        direction.normalize();
+        
+        const far = hit.point.clone().addScaledVector(direction, obstacle.width + obstacle.height + obstacle.depth);
+        const fraction = segmentBoxIntersection(far, hit.point, obstacle);
+        if (fraction === null) return null;
+        
+        const exit = far.lerp(hit.point, fraction);
+        
+        // Costs the material's resistance for the length of the path through it
+        const cost = exit.distanceTo(hit.point) * material.resistance;
+        if (projectile.penetration < cost) return null;
+        
+        const moved = projectile.penetrate(exit, cost, material.damageRetained);
+        this.addImpact(exit, this.getSurfaceNormal(obstacle, exit));
+        
+        return { point: exit, moved: moved };
+    }
+    
+    /**
+     * Leave a mark where a round came out of an obstacle
+     */
+    addImpact(point, normal) {
+        const mark = new THREE.Mesh(
+            new THREE.CircleGeometry(0.08, 8),
+            new THREE.MeshBasicMaterial({ color: 0x222222, side: THREE.DoubleSide })
+        );
+        
+        // Face out of the surface, just off it to avoid z-fighting
+        mark.position.copy(point).addScaledVector(normal, 0.01);
+        mark.lookAt(point.clone().add(normal));
+        this.scene.add(mark);
+        
+        this.impacts.push(mark);
+        if (this.impacts.length > this.maxImpacts) {
+            this.scene.remove(this.impacts.shift());
+        }
+    }
 }
@@ -0,0 +1,227 @@
+/**
+ * Shrinking safe zone (storm circle) that forces players together
+ */
+class SafeZone {
+    constructor(scene, worldSize) {
+        this.scene = scene;
+        this.worldSize = worldSize;
+        
+        // Phases: wait before shrinking, time to shrink, radius at the end of the
+        // shrink, and damage per second taken outside the zone during the phase
+        this.phases = [
+            { wait: 60, shrink: 60, radius: 200, damagePerSecond: 1 },
+            { wait: 45, shrink: 45, radius: 120, damagePerSecond: 2 },
+            { wait: 40, shrink: 40, radius: 60, damagePerSecond: 5 },
+            { wait: 30, shrink: 30, radius: 25, damagePerSecond: 8 },
+            { wait: 20, shrink: 20, radius: 0, damagePerSecond: 15 }
+        ];
+        
+        // Seconds before a shrink when everyone should start moving in
+        this.rotationWarning = 30;
+        
+        // The first circle covers the whole map (corner to corner)
+        this.initialRadius = worldSize * Math.SQRT2 / 2;
+        
+        // Zone state
+        this.phaseIndex = 0;
+        this.phaseState = 'waiting'; // waiting, shrinking, closed
+        this.timer = 0;
+        
+        // Current circle, and the one it is shrinking towards
+        this.center = new THREE.Vector3();
+        this.radius = this.initialRadius;
+        this.startCenter = new THREE.Vector3();
+        this.startRadius = this.initialRadius;
+        this.nextCenter = new THREE.Vector3();
+        this.nextRadius = this.initialRadius;
+        
+        // Create visuals
+        this.createWall();
+        this.createNextCircleMarker();
+        
+        this.reset();
+    }
+    
+    /**
+     * Create the translucent wall around the current circle
+     */
+    createWall() {
+        const wallHeight = 80;
+        
+        // Unit radius cylinder, scaled to the zone radius each frame
+        const geometry = new THREE.CylinderGeometry(1, 1, wallHeight, 64, 1, true);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x3366ff,
+            transparent: true,
+            opacity: 0.25,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        this.wall = new THREE.Mesh(geometry, material);
+        this.wall.position.y = wallHeight / 2;
+        this.scene.add(this.wall);
+    }
+    
+    /**
+     * Create the ground ring showing where the next circle will be
+     */
+    createNextCircleMarker() {
+        const geometry = new THREE.RingGeometry(0.995, 1, 64);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide
+        });
+        
+        this.nextCircleMarker = new THREE.Mesh(geometry, material);
+        this.nextCircleMarker.rotation.x = -Math.PI / 2;
+        this.nextCircleMarker.position.y = 0.05; // Just above the ground
+        this.scene.add(this.nextCircleMarker);
+    }
+    
+    /**
+     * Restart the zone from the first phase
+     */
+    reset() {
+        this.phaseIndex = 0;
+        this.phaseState = 'waiting';
+        this.timer = this.phases[0].wait;
+        
+        this.center.set(0, 0, 0);
+        this.radius = this.initialRadius;
+        
+        this.chooseNextCircle();
+        this.updateVisuals();
+    }
+    
+    /**
+     * Pick the next circle somewhere fully inside the current one
+     */
+    chooseNextCircle() {
+        const phase = this.phases[this.phaseIndex];
+        
+        this.startCenter.copy(this.center);
+        this.startRadius = this.radius;
+        this.nextRadius = phase.radius;
+        
+        // Random offset that keeps the next circle inside the current one
+        const maxOffset = Math.max(0, this.radius - this.nextRadius);
+        const offset = randomPointOnCircle(Math.random() * maxOffset);
+        
+        // Keep the centre on the map
+        const halfSize = Math.max(0, this.worldSize / 2 - this.nextRadius);
+        this.nextCenter.set(
+            clamp(this.center.x + offset.x, -halfSize, halfSize),
+            0,
+            clamp(this.center.z + offset.z, -halfSize, halfSize)
+        );
+    }
+    
+    /**
+     * Advance timers and shrink the circle
+     */
+    update(deltaTime) {
+        if (this.phaseState === 'closed') return;
+        
+        this.timer -= deltaTime;
+        const phase = this.phases[this.phaseIndex];
+        
+        if (this.phaseState === 'waiting') {
+            if (this.timer <= 0) {
+                this.phaseState = 'shrinking';
+                this.timer = phase.shrink;
+            }
+        } else if (this.phaseState === 'shrinking') {
+            // Interpolate from the circle at the start of the shrink to the next one
+            const t = clamp(1 - this.timer / phase.shrink, 0, 1);
+            this.center.lerpVectors(this.startCenter, this.nextCenter, t);
+            this.radius = lerp(this.startRadius, this.nextRadius, t);
+            
+            if (this.timer <= 0) {
+                this.center.copy(this.nextCenter);
+                this.radius = this.nextRadius;
+                
+                // Move on to the next phase, or stay closed after the last one
+                if (this.phaseIndex < this.phases.length - 1) {
+                    this.phaseIndex++;
+                    this.phaseState = 'waiting';
+                    this.timer = this.phases[this.phaseIndex].wait;
+                    this.chooseNextCircle();
+                } else {
+                    this.phaseState = 'closed';
+                }
+            }
+        }
+        
+        this.updateVisuals();
+    }
+    
+    /**
+     * Match the wall and next-circle marker to the zone state
+     */
+    updateVisuals() {
+        // A zero scale makes the geometry degenerate, so keep a tiny minimum
+        const wallRadius = Math.max(0.01, this.radius);
+        this.wall.position.x = this.center.x;
+        this.wall.position.z = this.center.z;
+        this.wall.scale.set(wallRadius, 1, wallRadius);
+        
+        const markerRadius = Math.max(0.01, this.nextRadius);
+        this.nextCircleMarker.position.x = this.nextCenter.x;
+        this.nextCircleMarker.position.z = this.nextCenter.z;
+        this.nextCircleMarker.scale.set(markerRadius, markerRadius, 1);
+        this.nextCircleMarker.visible = this.phaseState !== 'closed';
+    }
+    
+    /**
+     * Check if a position is inside the current circle
+     */
+    isInside(position) {
+        const dx = position.x - this.center.x;
+        const dz = position.z - this.center.z;
+        return dx * dx + dz * dz <= this.radius * this.radius;
+    }
+    
+    /**
+     * Check if a position is inside the circle the zone is heading for
+     */
+    isInsideNext(position) {
+        const dx = position.x - this.nextCenter.x;
+        const dz = position.z - this.nextCenter.z;
+        return dx * dx + dz * dz <= this.nextRadius * this.nextRadius;
+    }
+    
+    /**
+     * Get a random point inside the next circle
+     */
+    getPointInsideNext() {
+        const offset = randomPointOnCircle(Math.sqrt(Math.random()) * this.nextRadius * 0.9);
+        return new THREE.Vector3(this.nextCenter.x + offset.x, 0, this.nextCenter.z + offset.z);
+    }
+    
+    /**
+     * Check if it's time to move into the next circle (shrinking or about to)
+     */
+    isClosingIn() {
+        if (this.phaseState === 'waiting') {
+            return this.timer <= this.rotationWarning;
+        }
+        return true;
+    }
+    
+    /**
+     * Damage per second for anyone outside the current circle
+     */
+    getDamagePerSecond() {
+        return this.phases[this.phaseIndex].damagePerSecond;
+    }
+    
+    /**
+     * Seconds left in the current wait or shrink (0 once closed)
+     */
+    getTimeRemaining() {
+        return this.phaseState === 'closed' ? 0 : Math.max(0, this.timer);
+    }
+}